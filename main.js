@@ -13,10 +13,13 @@ const {
   Tray,
   Menu,
   shell,
+  dialog,
 } = require("electron");
 const path = require("path");
 const { pathToFileURL } = require("url"); // ✅ 生成合法 file:/// URL
-const server = require("http").createServer();
+const http = require("http");
+const https = require("https");
+const { handleHttpRequest } = require("./tools/http-api");
 const helper = require("./src/helper");
 const printSetup = require("./src/print");
 const renderSetup = require("./src/render");
@@ -30,9 +33,25 @@ const {
   initClientEvent,
   getMachineId,
 } = require("./tools/utils");
+const { startPrinterMonitor } = require("./tools/printer-monitor");
+const {
+  taskEvents,
+  getWaitingTasks,
+  clearQueue,
+  pauseQueue,
+  resumeQueue,
+  getQueueState,
+  restoreTasks,
+} = require("./tools/task");
+const { getTlsOptions } = require("./tools/tls");
+const { checkOrigin } = require("./tools/origin");
+const { listenLocalServer, getExposure } = require("./tools/network");
 
 const TaskRunner = require("concurrent-tasks");
 
+// 本地服务，socket.io 以外的请求由 HTTP 接口处理
+const { server, secureServer } = createLocalServer();
+
 // ✅ 防白屏/兼容：即便 disabledGpu 未打开，也尽量规避驱动/安全软件导致的白屏
 try {
   app.disableHardwareAcceleration();
@@ -64,8 +83,11 @@ global.PRINT_LOG_WINDOW = null;
 global.SOCKET_SERVER = null;
 // socket.io-client 客户端
 global.SOCKET_CLIENT = null;
-// 打印队列，解决打印并发崩溃问题
-global.PRINT_RUNNER = new TaskRunner({ concurrency: 1 });
+// HTTP 接口的请求，代替 socket 接收任务结果 { [id]: HttpClient }
+global.HTTP_CLIENTS = new Map();
+// 打印队列，每台打印机一个队列，同一打印机串行打印，解决打印并发崩溃问题
+// { [打印机名称]: TaskRunner }
+global.PRINT_RUNNERS = {};
 // 打印队列 done 集合
 global.PRINT_RUNNER_DONE = {};
 // 分批打印任务的打印任务信息
@@ -88,13 +110,27 @@ const ioServer = (global.SOCKET_SERVER = new require("socket.io")(server, {
   pingTimeout: 5000,
   maxHttpBufferSize: 10000000000,
   allowEIO3: true, // 兼容 Socket.IO 2.x
+  // 握手时校验来源，websocket 不经过 cors，需要在这里拒绝
+  allowRequest: (req, callback) => {
+    const origin = req.headers.origin;
+    checkOrigin(origin).then((allowed) => {
+      if (!allowed) {
+        log(
+          `==> 拒绝来源：${origin}，IP：${req.socket.remoteAddress}，请检查来源白名单设置`,
+        );
+      }
+      callback(allowed ? null : "Origin not allowed", allowed);
+    });
+  },
   // 跨域问题(Socket.IO 3.x 使用这种方式)
   cors: {
     // origin: "*",
     // 兼容 Socket.IO 2.x
     origin: (requestOrigin, callback) => {
-      // 允许所有域名连接
-      callback(null, requestOrigin);
+      // 只允许来源白名单中的域名连接
+      checkOrigin(requestOrigin).then((allowed) => {
+        callback(null, allowed ? requestOrigin : false);
+      });
     },
     methods: "GET, POST, PUT, DELETE, OPTIONS",
     allowedHeaders: "*",
@@ -103,9 +139,40 @@ const ioServer = (global.SOCKET_SERVER = new require("socket.io")(server, {
   },
 }));
 
+// serverProtocol 为 both 时 socket.io 同时挂载到 HTTPS 服务
+secureServer && ioServer.engine.attach(secureServer, { path: "/socket.io" });
+
 // socket.io 客户端，用于连接中转服务
 const ioClient = require("socket.io-client").io;
 
+/**
+ * @description: 创建本地服务，serverProtocol 为 https 时只提供 HTTPS，为 both 时 HTTP、HTTPS 同时提供服务
+ * @description: 证书读取或生成失败时回退为 HTTP
+ * @return {Object} { server, secureServer } server 监听 port，secureServer 监听 httpsPort
+ */
+function createLocalServer() {
+  let protocol = store.get("serverProtocol");
+  let tlsOptions = null;
+  if (protocol !== "http") {
+    try {
+      tlsOptions = getTlsOptions();
+    } catch (error) {
+      log(`==> HTTPS 证书加载失败，使用 HTTP 服务：${error.message}`);
+      protocol = "http";
+    }
+  }
+  return {
+    server:
+      protocol === "https"
+        ? https.createServer(tlsOptions, handleHttpRequest)
+        : http.createServer(handleHttpRequest),
+    secureServer:
+      protocol === "both"
+        ? https.createServer(tlsOptions, handleHttpRequest)
+        : null,
+  };
+}
+
 /**
  * @description: 初始化
  */
@@ -167,10 +234,25 @@ async function initialize() {
       event.sender.send("address", {
         ...obj,
         port: store.get("port"),
+        exposure: getExposure(),
       });
     });
   });
 
+  // 主窗口暂停、恢复、清空打印队列
+  ipcMain.on("pauseQueue", () => pauseQueue("print"));
+  ipcMain.on("resumeQueue", () => resumeQueue("print"));
+  ipcMain.on("clearQueue", confirmClearQueue);
+  ipcMain.on("getQueueState", (event) => {
+    event.sender.send("printQueue", getQueueState().print);
+  });
+
+  // 队列变化时同步主窗口与托盘菜单
+  taskEvents.on("queueChange", (state) => {
+    MAIN_WINDOW?.webContents.send("printQueue", state.print);
+    APP_TRAY && APP_TRAY.setContextMenu(buildTrayMenu());
+  });
+
   // 当electron完成初始化
   app.whenReady().then(() => {
     // 创建浏览器窗口
@@ -270,9 +352,15 @@ async function createWindow() {
         MAIN_WINDOW.webContents.openDevTools();
       }
       // 本地服务开启端口监听
-      server.listen(store.get("port") || 17521);
+      listenLocalServer(server, store.get("port") || 17521);
+      secureServer &&
+        listenLocalServer(secureServer, store.get("httpsPort") || 17522);
       // 初始化本地 服务端事件
       initServeEvent(ioServer);
+      // 监控打印机列表与状态变化
+      startPrinterMonitor();
+      // 恢复上次退出时未完成的任务
+      restoreTasks(store.get("restorePolicy"));
       // 有配置中转服务时连接中转服务
       if (
         store.get("connectTransit") &&
@@ -377,7 +465,21 @@ function initTray() {
   // 托盘提示标题
   APP_TRAY.setToolTip("hiprint");
 
-  // 托盘菜单
+  APP_TRAY.setContextMenu(buildTrayMenu());
+
+  // 监听点击事件
+  APP_TRAY.on("click", function() {
+    showMainWindow();
+  });
+  return APP_TRAY;
+}
+
+/**
+ * @description: 生成托盘菜单，打印队列状态变化时重新生成
+ * @return {Menu}
+ */
+function buildTrayMenu() {
+  const { paused, queued } = getQueueState().print;
   const trayMenuTemplate = [
     {
       // 神知道为什么 linux 上无法识别 tray click、double-click，只能添加一个菜单
@@ -408,6 +510,21 @@ function initTray() {
         }
       },
     },
+    { type: "separator" },
+    {
+      label: paused ? "恢复打印" : "暂停打印",
+      click: () => {
+        paused ? resumeQueue("print") : pauseQueue("print");
+      },
+    },
+    {
+      label: `清空打印队列（${queued}）`,
+      enabled: queued > 0,
+      click: () => {
+        confirmClearQueue();
+      },
+    },
+    { type: "separator" },
     {
       label: "退出",
       click: () => {
@@ -416,13 +533,29 @@ function initTray() {
     },
   ];
 
-  APP_TRAY.setContextMenu(Menu.buildFromTemplate(trayMenuTemplate));
+  return Menu.buildFromTemplate(trayMenuTemplate);
+}
 
-  // 监听点击事件
-  APP_TRAY.on("click", function() {
-    showMainWindow();
-  });
-  return APP_TRAY;
+/**
+ * @description: 确认后清空打印队列
+ * @return {Void}
+ */
+function confirmClearQueue() {
+  const count = getWaitingTasks("print").length;
+  if (!count) return;
+  dialog
+    .showMessageBox({
+      type: "warning",
+      title: "提示",
+      message: `确定要取消打印队列中 ${count} 个等待中的任务吗？`,
+      detail: "包括排队中、等待重试和定时（printAt）的任务。",
+      buttons: ["确定", "取消"],
+    })
+    .then((res) => {
+      if (res.response === 0) {
+        clearQueue("print");
+      }
+    });
 }
 
 /**
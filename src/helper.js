@@ -15,3 +15,19 @@ exports.appQuit = function() {
   APP_TRAY && APP_TRAY.destroy();
   app.quit();
 };
+
+/**
+ * 等待窗口页面加载完成
+ *
+ * @param {BrowserWindow} win
+ * @return {Promise}
+ */
+exports.whenLoaded = function(win) {
+  return new Promise((resolve) => {
+    if (win && win.webContents.isLoading()) {
+      win.webContents.once("did-finish-load", resolve);
+    } else {
+      resolve();
+    }
+  });
+};
@@ -0,0 +1,213 @@
+/*
+ * @Description: IPP 打印，提交 Print-Job 后轮询 Get-Job-Attributes 直到作业结束
+ * @Description: macOS / Linux 通过 lp 提交的作业同样经由本机 CUPS 的 IPP 接口跟踪状态
+ */
+const ipp = require("ipp");
+const log = require("../tools/log");
+const { store } = require("../tools/utils");
+const { updateTaskJob } = require("../tools/task");
+const { CUPS_URL } = require("../tools/cups");
+
+// 查询作业状态间隔（毫秒）
+const IPP_POLL_INTERVAL = 2000;
+
+// 连续查询失败次数上限，超过后不再跟踪作业
+const IPP_POLL_MAX_ERRORS = 5;
+
+// 作业结束状态
+const IPP_JOB_FINISHED = ["completed", "canceled", "aborted"];
+
+// 作业状态枚举值，部分打印机返回数字
+const IPP_JOB_STATES = {
+  3: "pending",
+  4: "pending-held",
+  5: "processing",
+  6: "processing-stopped",
+  7: "canceled",
+  8: "aborted",
+  9: "completed",
+};
+
+// duplexMode 对应的 sides 属性
+const IPP_SIDES = {
+  simplex: "one-sided",
+  longEdge: "two-sided-long-edge",
+  shortEdge: "two-sided-short-edge",
+};
+
+/**
+ * @description: 执行 IPP 操作，非 successful-* 状态视为失败
+ * @param {Object} printer ipp.Printer
+ * @param {string} operation 操作名称
+ * @param {Object} msg 请求参数
+ * @return {Promise<Object>}
+ */
+function execute(printer, operation, msg) {
+  return new Promise((resolve, reject) => {
+    printer.execute(operation, msg, (err, res) => {
+      if (err) return reject(err);
+      if (!/^successful/.test(res.statusCode)) {
+        return reject(new Error(`IPP ${operation} 失败：${res.statusCode}`));
+      }
+      resolve(res);
+    });
+  });
+}
+
+/**
+ * @description: 从 IPP 响应中取作业信息
+ * @param {Object} res IPP 响应
+ * @return {import("../tools/task").JobInfo}
+ */
+function getJobInfo(res) {
+  const attrs = res["job-attributes-tag"] || {};
+  const state = attrs["job-state"];
+  return {
+    id: attrs["job-id"],
+    state: IPP_JOB_STATES[state] || state,
+    reasons: [].concat(attrs["job-state-reasons"] || []),
+    message: attrs["job-state-message"] || "",
+  };
+}
+
+/**
+ * @description: 作业未结束时停止等待的错误，作业可能仍会打印，不重试，避免重复打印
+ * @param {string} msg 错误信息
+ * @param {import("../tools/task").JobInfo} job 最后的作业信息
+ * @return {Error} error.job 为作业信息，error.retryable 为 false
+ */
+function jobUnfinishedError(msg, job) {
+  const error = new Error(msg);
+  error.job = job;
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * @description: 轮询作业状态直到作业结束，状态变化时更新任务的作业信息
+ * @description: 超过 ippJobTimeout 秒仍未结束或连续查询失败时不再等待，按作业未完成失败；ippJobTimeout 为 0 时不等待
+ * @param {string} url 打印机地址
+ * @param {import("../tools/task").JobInfo} job 已提交的作业
+ * @param {object} data 打印参数
+ * @return {Promise<import("../tools/task").JobInfo>} 被取消、中止或未结束时 reject，error.job 为作业信息
+ */
+async function waitIppJob(url, job, data) {
+  const printer = ipp.Printer(url);
+  const timeout = store.get("ippJobTimeout", 300);
+  const deadline = Date.now() + timeout * 1000;
+  let errors = 0;
+  updateTaskJob(data.taskId, job);
+  if (!timeout) return job;
+  while (!IPP_JOB_FINISHED.includes(job.state)) {
+    if (Date.now() > deadline) {
+      log(`ipp job: ${url} 作业 ${job.id} 等待超时，最后状态：${job.state}`);
+      throw jobUnfinishedError(
+        `打印作业 ${job.id} 超过 ${timeout} 秒仍未完成，当前状态：${job.state}`,
+        job,
+      );
+    }
+    await new Promise((resolve) => setTimeout(resolve, IPP_POLL_INTERVAL));
+    let state;
+    try {
+      state = getJobInfo(
+        await execute(printer, "Get-Job-Attributes", {
+          "operation-attributes-tag": {
+            "requesting-user-name": "hiPrint",
+            "job-id": job.id,
+            "requested-attributes": [
+              "job-id",
+              "job-state",
+              "job-state-reasons",
+              "job-state-message",
+            ],
+          },
+        }),
+      );
+      errors = 0;
+    } catch (e) {
+      // 作业已提交，查询失败时继续等待，避免重试导致重复打印
+      log(`ipp job: ${url} 查询作业 ${job.id} 状态失败：${e?.message || e}`);
+      if (++errors >= IPP_POLL_MAX_ERRORS) {
+        throw jobUnfinishedError(
+          `无法查询打印作业 ${job.id} 的状态，最后状态：${job.state}`,
+          job,
+        );
+      }
+      continue;
+    }
+    state.id = job.id;
+    if (state.state !== job.state) {
+      log(`ipp job: ${url} 作业 ${job.id} 状态：${state.state}`);
+      updateTaskJob(data.taskId, state);
+    }
+    job = state;
+  }
+  if (job.state !== "completed") {
+    const error = new Error(
+      `打印作业 ${job.id} ${job.state}：${job.message ||
+        job.reasons.join(",")}`,
+    );
+    error.job = job;
+    throw error;
+  }
+  return job;
+}
+
+/**
+ * @description: IPP 打印，提交 Print-Job 后等待作业完成
+ * @param {Buffer} buffer 文档数据
+ * @param {string} url 打印机地址 ipp://host:631/ipp/print
+ * @param {object} data 打印参数（taskId、title、copies、duplexMode、documentFormat、ippAttributes）
+ * @return {Promise<import("../tools/task").JobInfo>}
+ */
+async function printIpp(buffer, url, data = {}) {
+  const printer = ipp.Printer(url);
+  const jobAttributes = {
+    copies: Math.max(1, parseInt(data.copies) || 1),
+  };
+  if (IPP_SIDES[data.duplexMode]) {
+    jobAttributes.sides = IPP_SIDES[data.duplexMode];
+  }
+  const res = await execute(printer, "Print-Job", {
+    "operation-attributes-tag": {
+      "requesting-user-name": "hiPrint",
+      "job-name": data.title || data.templateId || "hiprint",
+      "document-format": data.documentFormat || "application/pdf",
+    },
+    "job-attributes-tag": { ...jobAttributes, ...data.ippAttributes },
+    data: buffer,
+  });
+  const job = getJobInfo(res);
+  log(`ipp print: ${url} 作业 ${job.id} 已提交，状态：${job.state}`);
+  return waitIppJob(url, job, data);
+}
+
+/**
+ * @description: 跟踪 lp 提交的 CUPS 作业直到作业结束
+ * @description: 输出中没有作业 id 或关闭了 cupsJobTracking 时直接返回 null
+ * @param {string} output lp 输出，如 request id is HP_LaserJet-12 (1 file(s))
+ * @param {string} printer 打印机名称，为空时从作业 id 中取
+ * @param {object} data 打印参数
+ * @return {Promise<import("../tools/task").JobInfo|null>}
+ */
+async function waitCupsJob(output, printer, data = {}) {
+  const match = /request id is (\S+)/.exec(output || "");
+  if (!match || !store.get("cupsJobTracking", true)) return null;
+  const requestId = match[1];
+  const index = requestId.lastIndexOf("-");
+  // 打印机实例 printer/instance 共用同一个队列
+  const queue = (printer || requestId.slice(0, index)).split("/")[0];
+  const job = {
+    id: Number(requestId.slice(index + 1)),
+    state: "pending",
+    reasons: [],
+    message: "",
+  };
+  log(`cups job: ${requestId} 已提交，开始跟踪作业状态`);
+  return waitIppJob(CUPS_URL + encodeURIComponent(queue), job, data);
+}
+
+module.exports = {
+  printIpp,
+  waitCupsJob,
+};
@@ -13,7 +13,9 @@ const fs = require("fs");
 const os = require("os");
 const { spawn } = require("child_process");
 const log = require("../tools/log");
-const { store } = require("../tools/utils");
+const { store, isSocketPrinter, isIppPrinter } = require("../tools/utils");
+const { printRaw } = require("./raw-print");
+const { printIpp, waitCupsJob } = require("./ipp-print");
 const dayjs = require("dayjs");
 const { v7: uuidv7 } = require("uuid");
 
@@ -111,6 +113,77 @@ function trySystemPdfToPrinter(pdfPath, printer, data) {
   return printPdfFunction(pdfPath, pdfOptions);
 }
 
+/** -----------------------
+ * macOS / Linux lp 参数
+ * ----------------------*/
+
+// duplexMode 对应的 sides 参数
+const LP_SIDES = {
+  simplex: "one-sided",
+  longEdge: "two-sided-long-edge",
+  shortEdge: "two-sided-short-edge",
+};
+
+/** unix-print 通过 shell 执行 lp，参数值需要转义 */
+const shellQuote = (str) => `'${String(str).replace(/'/g, `'\\''`)}'`;
+
+/**
+ * 页码范围转换为 lp page-ranges
+ * 支持 '1-5, 8' 或 webContents.print 的 [{ from, to }]（从 0 开始）
+ */
+function toLpPageRanges(pageRanges) {
+  if (typeof pageRanges === "string") return pageRanges.replace(/\s/g, "");
+  return []
+    .concat(pageRanges || [])
+    .filter((range) => range && range.from != null)
+    .map(({ from, to = from }) =>
+      from === to ? `${from + 1}` : `${from + 1}-${to + 1}`,
+    )
+    .join(",");
+}
+
+/**
+ * 打印参数转换为 lp 参数
+ * copies → -n，duplexMode → sides，landscape → orientation-requested，
+ * pageRanges → page-ranges，paperName → media，color → print-color-mode
+ * lpOptions 原样追加：{ "fit-to-page": true, "media": "A4" } 或 ["-o", "fit-to-page"]
+ */
+function getLpOptions(data = {}) {
+  const options = [];
+  const addOption = (key, value) =>
+    options.push(
+      `-o ${shellQuote(value === true ? key : `${key}=${value}`)}`,
+    );
+
+  const copies = parseInt(data.copies);
+  if (copies > 1) options.push(`-n ${copies}`);
+  if (LP_SIDES[data.duplexMode]) addOption("sides", LP_SIDES[data.duplexMode]);
+  // type 为 pdf 时由 printToPDF 生成，方向、页码范围已经生效
+  if (`${data.type}`.toLowerCase() !== "pdf") {
+    if (data.landscape != null) {
+      addOption("orientation-requested", data.landscape ? 4 : 3);
+    }
+    const pageRanges = toLpPageRanges(data.pageRanges);
+    if (pageRanges) addOption("page-ranges", pageRanges);
+  }
+  if (data.paperName) addOption("media", data.paperName);
+  if (data.color != null) {
+    addOption("print-color-mode", data.color ? "color" : "monochrome");
+  }
+
+  const { lpOptions } = data;
+  if (Array.isArray(lpOptions)) {
+    lpOptions.forEach((arg) => options.push(shellQuote(arg)));
+  } else if (lpOptions && typeof lpOptions === "object") {
+    Object.keys(lpOptions).forEach((key) => {
+      if (lpOptions[key] !== false && lpOptions[key] != null) {
+        addOption(key, lpOptions[key]);
+      }
+    });
+  }
+  return options;
+}
+
 /** -----------------------
  * 实际打印流程
  * ----------------------*/
@@ -120,6 +193,27 @@ const realPrint = (pdfPath, printer, data, resolve, reject) => {
     return;
   }
 
+  // IPP 打印机：提交 PDF 作业并等待作业完成
+  if (isIppPrinter(printer)) {
+    fs.promises
+      .readFile(pdfPath)
+      .then((buffer) => printIpp(buffer, printer, data))
+      .then((job) => resolve(job), reject);
+    return;
+  }
+
+  // 网络打印机：PDF 直接发送到打印机端口，多份时逐份发送
+  if (isSocketPrinter(printer)) {
+    const copies = Math.max(1, parseInt(data?.copies) || 1);
+    (async () => {
+      const buffer = await fs.promises.readFile(pdfPath);
+      for (let i = 0; i < copies; i++) {
+        await printRaw(buffer, printer, { ...data, copies: 1 });
+      }
+    })().then(() => resolve(), reject);
+    return;
+  }
+
   if (process.platform === "win32") {
     // Windows 顺序：优先 Adobe → 再 System → 最后 Sumatra
     // 可通过设置覆盖：winPdfEngine = adobe | sumatra | system
@@ -146,9 +240,12 @@ const realPrint = (pdfPath, printer, data, resolve, reject) => {
     })();
   } else {
     // 参数见 lp 命令 使用方法（macOS / Linux）
-    let options = [];
+    const options = getLpOptions(data);
+    log(`lp options: ${options.join(" ") || "无"}`);
+    // lp 只是把文件交给 CUPS，需跟踪作业直到真正打印完成
     printPdfFunction(pdfPath, printer, options)
-      .then(() => resolve())
+      .then((res) => waitCupsJob(res?.stdout ?? res, printer, data))
+      .then((job) => resolve(job))
       .catch((e) => reject(e));
   }
 };
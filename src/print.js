@@ -6,8 +6,27 @@ const os = require("os");
 const fs = require("fs");
 const { pathToFileURL } = require("url"); // 规范 file://
 const { printPdf, printPdfBlob } = require("./pdf-print");
+const { RAW_TYPES, getRawPayload, printRaw } = require("./raw-print");
 const log = require("../tools/log");
-const { store, getCurrentPrintStatusByName } = require("../tools/utils");
+const {
+  store,
+  getCurrentPrintStatusByName,
+  resolvePrinterAlias,
+  isNetworkPrinter,
+  getFailoverPrinter,
+  isPrinterAvailable,
+  applyPrintProfile,
+} = require("../tools/utils");
+const {
+  updateTaskStatus,
+  retryTask,
+  getTask,
+  isPrinting,
+  getTaskSocket,
+  getTaskPrinter,
+  setPrinterList,
+} = require("../tools/task");
+const { whenLoaded } = require("./helper");
 const db = require("../tools/database");
 const dayjs = require("dayjs");
 const { v7: uuidv7 } = require("uuid");
@@ -16,9 +35,9 @@ const { v7: uuidv7 } = require("uuid");
 //   我们不因“状态未知/异常”阻塞打印，默认继续打印。
 const IGNORE_STATUS_ON_WIN32 = true;
 
-function safeGetStatusMsg(printerName) {
+async function safeGetStatusMsg(printerName) {
   try {
-    const info = getCurrentPrintStatusByName(printerName);
+    const info = await getCurrentPrintStatusByName(printerName);
     return (info && info.StatusMsg) || "未知状态";
   } catch (e) {
     log(`safeGetStatusMsg error: ${e?.message || e}`);
@@ -26,11 +45,21 @@ function safeGetStatusMsg(printerName) {
   }
 }
 
+// 额外打印窗口空闲多久后销毁（毫秒）
+const PRINT_WINDOW_IDLE = 5 * 60 * 1000;
+
 /**
- * @description: 创建打印窗口
- * @return {BrowserWindow} PRINT_WINDOW 打印窗口
+ * @description: 打印窗口池，不同打印机的任务并行执行时各自占用一个窗口
+ * @description: PRINT_WINDOW 常驻，其余窗口按需创建，空闲超时后销毁
+ * Array<{ window: BrowserWindow, busy: boolean, timer: NodeJS.Timeout | null }>
  */
-async function createPrintWindow() {
+const printWindowPool = [];
+
+/**
+ * @description: 新建一个加载 print.html 的打印窗口
+ * @return {BrowserWindow}
+ */
+function newPrintWindow() {
   const windowOptions = {
     width: 100,
     height: 100,
@@ -42,13 +71,24 @@ async function createPrintWindow() {
     backgroundColor: "#fff",
   };
 
-  PRINT_WINDOW = new BrowserWindow(windowOptions);
+  const win = new BrowserWindow(windowOptions);
 
   // 规范 file:/// URL
   const printHtml = pathToFileURL(
     path.join(app.getAppPath(), "assets", "print.html"),
   ).toString();
-  PRINT_WINDOW.webContents.loadURL(printHtml);
+  win.webContents.loadURL(printHtml);
+
+  return win;
+}
+
+/**
+ * @description: 创建打印窗口
+ * @return {BrowserWindow} PRINT_WINDOW 打印窗口
+ */
+async function createPrintWindow() {
+  PRINT_WINDOW = newPrintWindow();
+  printWindowPool.push({ window: PRINT_WINDOW, busy: false, timer: null });
 
   // init events
   initPrintEvent();
@@ -56,22 +96,62 @@ async function createPrintWindow() {
   return PRINT_WINDOW;
 }
 
+/**
+ * @description: 取一个空闲的打印窗口，没有空闲窗口时新建
+ * @return {Promise<BrowserWindow>}
+ */
+async function acquirePrintWindow() {
+  let item = printWindowPool.find(
+    (item) => !item.busy && !item.window.isDestroyed(),
+  );
+  if (!item) {
+    item = { window: newPrintWindow(), busy: false, timer: null };
+    printWindowPool.push(item);
+  }
+  item.busy = true;
+  clearTimeout(item.timer);
+  await whenLoaded(item.window);
+  return item.window;
+}
+
+/**
+ * @description: 归还打印窗口，PRINT_WINDOW 以外的窗口空闲超时后销毁
+ * @param {BrowserWindow} win 打印窗口
+ * @return {Void}
+ */
+function releasePrintWindow(win) {
+  const item = printWindowPool.find((item) => item.window === win);
+  if (!item) return;
+  item.busy = false;
+  if (win === PRINT_WINDOW) return;
+  item.timer = setTimeout(() => {
+    printWindowPool.splice(printWindowPool.indexOf(item), 1);
+    !win.isDestroyed() && win.destroy();
+  }, PRINT_WINDOW_IDLE);
+}
+
 /**
  * @description: 绑定打印窗口事件
  * @return {Void}
  */
 function initPrintEvent() {
   ipcMain.on("do", async (event, data) => {
-    let socket = null;
-    if (data.clientType === "local") {
-      socket = SOCKET_SERVER.sockets.sockets.get(data.socketId);
-    } else {
-      socket = SOCKET_CLIENT;
-    }
+    // client 重连后重复提交的任务会改为推送给新的连接，以任务记录为准
+    const { socketId, clientType, replyId } = getTask(data.taskId) || data;
+    Object.assign(data, { socketId, clientType, replyId });
+    const socket = getTaskSocket(data);
+
+    // 任务所在的打印窗口
+    const printWebContents = event.sender;
 
     // 取打印机列表
-    const printers = await PRINT_WINDOW.webContents.getPrintersAsync();
-    let defaultPrinter = data.printer || store.get("defaultPrinter", "");
+    const printers = await printWebContents.getPrintersAsync();
+    setPrinterList(printers);
+    // 打印机可以是设置中的别名
+    let defaultPrinter = resolvePrinterAlias(
+      data.printer || store.get("defaultPrinter", ""),
+      printers,
+    );
     let targetPrinter;
 
     // 选默认机
@@ -79,11 +159,29 @@ function initPrintEvent() {
       if (p.isDefault && (!defaultPrinter || defaultPrinter === "")) {
         defaultPrinter = p.name;
       }
-      if (p.name === defaultPrinter) targetPrinter = p;
     });
 
+    // 目标打印机不可用时，按设置的故障转移顺序改用备用打印机
+    // 队列中的任务在入队、派发时已确定打印机，按所在打印队列的打印机打印
+    const requestedPrinter = defaultPrinter;
+    defaultPrinter =
+      getTaskPrinter(data.taskId) ||
+      getFailoverPrinter(defaultPrinter, printers, data.tokenPrinters);
+    if (defaultPrinter !== requestedPrinter) {
+      log(
+        `${data.replyId ? "中转服务" : "插件端"} ${socket?.id} 模板【${
+          data.templateId
+        }】 打印机 ${requestedPrinter} 不可用，故障转移至 ${defaultPrinter}`,
+      );
+    }
+    targetPrinter = printers.find((p) => p.name === defaultPrinter);
+
     // 如果没选到，允许继续（让系统自己决定），但记录日志
-    if (!targetPrinter && defaultPrinter) {
+    if (
+      !targetPrinter &&
+      defaultPrinter &&
+      !isNetworkPrinter(defaultPrinter)
+    ) {
       log(`warn: 指定的打印机未在列表中找到：${defaultPrinter}，将尝试继续打印（可能走默认机）。`);
     }
 
@@ -97,36 +195,27 @@ function initPrintEvent() {
           printerError = targetPrinter.status != 0;
         }
       } else {
-        // mac/linux：沿用原来的 3
-        printerError = targetPrinter.status != 3;
+        // mac/linux：与故障转移一致，正在打印（4）不算异常
+        printerError = !isPrinterAvailable(targetPrinter);
       }
     }
 
-    if (printerError) {
-      const msg = safeGetStatusMsg(defaultPrinter);
-      log(
-        `${data.replyId ? "中转服务" : "插件端"} ${socket?.id} 模板【${
-          data.templateId
-        }】 打印失败，打印机异常：${defaultPrinter}，状态：${msg}`,
-      );
-      socket &&
-        socket.emit("error", {
-          msg: defaultPrinter + "打印机异常：" + msg,
-          templateId: data.templateId,
-          replyId: data.replyId,
-        });
-      if (data.taskId) {
-        PRINT_RUNNER_DONE[data.taskId]();
-        delete PRINT_RUNNER_DONE[data.taskId];
-      }
-      MAIN_WINDOW.webContents.send("printTask", PRINT_RUNNER.isBusy());
-      return;
-    }
-
     const deviceName = defaultPrinter; // 可能为空字符串 → 交给系统默认机
-    const logPrintResult = (status, errorMessage = "") => {
+    // 合并打印机、模板的默认打印参数
+    applyPrintProfile(data, deviceName);
+    const attempt = getTask(data.taskId)?.attempt;
+    // job 为 IPP、CUPS 打印时打印机上的作业信息
+    const logPrintResult = (status, errorMessage = "", job = null) => {
+      // 同步任务状态，待重试的任务状态已由 retryTask 更新
+      if (status !== "retrying") {
+        updateTaskStatus(
+          data.taskId,
+          status === "success" ? "succeeded" : "failed",
+          errorMessage,
+        );
+      }
       db.run(
-        `INSERT INTO print_logs (socketId, clientType, printer, templateId, data, pageNum, status, rePrintAble, errorMessage) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        `INSERT INTO print_logs (socketId, clientType, printer, templateId, data, pageNum, status, rePrintAble, errorMessage, taskId, attempt, requestedPrinter, jobId, jobState) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
           socket?.id,
           data.clientType,
@@ -137,15 +226,125 @@ function initPrintEvent() {
           status,
           data.rePrintAble ?? 1,
           errorMessage,
+          data.taskId,
+          attempt,
+          requestedPrinter,
+          job?.id,
+          job?.state,
         ],
         (err) => {
           if (err) console.error("Failed to log print result", err);
         },
       );
     };
+    // 打印失败：符合重试策略时等待重试，否则通知 client 打印失败
+    // retryable 为 false 时不重试，如作业已提交但未等到结束，重试可能重复打印
+    const failPrint = (
+      msg,
+      errorMessage = msg,
+      job = null,
+      retryable = true,
+    ) => {
+      const retry = retryable && retryTask(data.taskId, errorMessage);
+      logPrintResult(retry ? "retrying" : "failed", errorMessage, job);
+      if (retry) return;
+      socket &&
+        socket.emit("error", {
+          msg,
+          templateId: data.templateId,
+          replyId: data.replyId,
+          printer: deviceName,
+          requestedPrinter,
+          job,
+        });
+    };
+
+    if (printerError) {
+      const msg = await safeGetStatusMsg(defaultPrinter);
+      log(
+        `${data.replyId ? "中转服务" : "插件端"} ${socket?.id} 模板【${
+          data.templateId
+        }】 打印失败，打印机异常：${defaultPrinter}，状态：${msg}`,
+      );
+      failPrint(defaultPrinter + "打印机异常：" + msg);
+      if (data.taskId) {
+        PRINT_RUNNER_DONE[data.taskId]();
+        delete PRINT_RUNNER_DONE[data.taskId];
+      }
+      MAIN_WINDOW.webContents.send("printTask", isPrinting());
+      return;
+    }
+
+    // ====== 分支 0：type = "raw" | "zpl" | "tspl"（ESC/POS、标签机等原始指令，直接发送到打印机）======
+    const rawType = data.type && `${data.type}`.toLowerCase();
+    if (RAW_TYPES.includes(rawType)) {
+      const rawBuffer = getRawPayload(data);
+      if (!rawBuffer) {
+        const errorMsg = `${rawType} 缺少 ${rawType} 参数或格式不正确`;
+        log(`${socket?.id} 模板【${data.templateId}】 打印失败：${errorMsg}`);
+        socket &&
+          socket.emit("error", {
+            msg: errorMsg,
+            templateId: data.templateId,
+            replyId: data.replyId,
+            printer: deviceName,
+            requestedPrinter,
+          });
+        logPrintResult("failed", errorMsg);
+        if (data.taskId) {
+          PRINT_RUNNER_DONE[data.taskId]();
+          delete PRINT_RUNNER_DONE[data.taskId];
+        }
+        MAIN_WINDOW.webContents.send("printTask", isPrinting());
+        return;
+      }
+      // 打印日志中统一保存为 base64，便于重打
+      if (rawType === "raw") data.raw = rawBuffer.toString("base64");
+      printRaw(rawBuffer, deviceName, data)
+        .then((job) => {
+          log(
+            `${data.replyId ? "中转服务" : "插件端"} ${socket?.id} 模板【${
+              data.templateId
+            }】 打印成功，类型：${rawType.toUpperCase()}，打印机：${deviceName}，字节数：${
+              rawBuffer.length
+            }`,
+          );
+          if (socket) {
+            const ok = { msg: "打印成功", templateId: data.templateId, replyId: data.replyId, printer: deviceName, requestedPrinter, job };
+            socket.emit("successs", ok);
+            socket.emit("success", ok);
+          }
+          logPrintResult("success", "", job);
+        })
+        .catch((err) => {
+          log(
+            `${data.replyId ? "中转服务" : "插件端"} ${socket?.id} 模板【${
+              data.templateId
+            }】 打印失败，类型：${rawType.toUpperCase()}，打印机：${deviceName}，原因：${err?.message || err}`,
+          );
+          failPrint(
+            "打印失败: " + (err?.message || err),
+            err?.message || String(err),
+            err?.job,
+            err?.retryable !== false,
+          );
+        })
+        .finally(() => {
+          if (data.taskId) {
+            PRINT_RUNNER_DONE[data.taskId]();
+            delete PRINT_RUNNER_DONE[data.taskId];
+          }
+          MAIN_WINDOW.webContents.send("printTask", isPrinting());
+        });
+      return;
+    }
 
     // ====== 分支 1：type = "pdf"（把当前页面渲染为 PDF 再打）======
-    const isPdf = data.type && `${data.type}`.toLowerCase() === "pdf";
+    // 网络打印机（socket、IPP）无法使用系统打印，HTML 同样渲染为 PDF 后直接发送
+    const isPdf =
+      (data.type && `${data.type}`.toLowerCase() === "pdf") ||
+      (isNetworkPrinter(deviceName) &&
+        !["url_pdf", "blob_pdf"].includes(`${data.type}`.toLowerCase()));
     if (isPdf) {
       const pdfPath = path.join(
         store.get("pdfPath") || os.tmpdir(),
@@ -154,7 +353,7 @@ function initPrintEvent() {
       );
       fs.mkdirSync(path.dirname(pdfPath), { recursive: true });
 
-      PRINT_WINDOW.webContents
+      printWebContents
         .printToPDF({
           landscape: data.landscape ?? false,
           displayHeaderFooter: data.displayHeaderFooter ?? false,
@@ -171,7 +370,7 @@ function initPrintEvent() {
           fs.writeFileSync(pdfPath, pdfData);
           return printPdf(pdfPath, deviceName, data);
         })
-        .then(() => {
+        .then((job) => {
           log(
             `${data.replyId ? "中转服务" : "插件端"} ${socket?.id} 模板【${
               data.templateId
@@ -180,11 +379,11 @@ function initPrintEvent() {
             }`,
           );
           if (socket) {
-            const result = { msg: "打印成功", templateId: data.templateId, replyId: data.replyId };
+            const result = { msg: "打印成功", templateId: data.templateId, replyId: data.replyId, printer: deviceName, requestedPrinter, job };
             socket.emit("successs", result);
             socket.emit("success", result);
           }
-          logPrintResult("success");
+          logPrintResult("success", "", job);
         })
         .catch((err) => {
           log(
@@ -192,20 +391,19 @@ function initPrintEvent() {
               data.templateId
             }】 打印失败，类型：PDF，打印机：${deviceName}，原因：${err?.message || err}`,
           );
-          socket &&
-            socket.emit("error", {
-              msg: "打印失败: " + (err?.message || err),
-              templateId: data.templateId,
-              replyId: data.replyId,
-            });
-          logPrintResult("failed", err?.message || String(err));
+          failPrint(
+            "打印失败: " + (err?.message || err),
+            err?.message || String(err),
+            err?.job,
+            err?.retryable !== false,
+          );
         })
         .finally(() => {
           if (data.taskId) {
             PRINT_RUNNER_DONE[data.taskId]();
             delete PRINT_RUNNER_DONE[data.taskId];
           }
-          MAIN_WINDOW.webContents.send("printTask", PRINT_RUNNER.isBusy());
+          MAIN_WINDOW.webContents.send("printTask", isPrinting());
         });
       return;
     }
@@ -215,7 +413,7 @@ function initPrintEvent() {
     if (isUrlPdf) {
       const urlOrPath = data.pdf_path || data.pdf_url;
       printPdf(urlOrPath, deviceName, data)
-        .then(() => {
+        .then((job) => {
           log(
             `${data.replyId ? "中转服务" : "插件端"} ${socket?.id} 模板【${
               data.templateId
@@ -224,11 +422,11 @@ function initPrintEvent() {
             }`,
           );
           if (socket) {
-            const ok = { msg: "打印成功", templateId: data.templateId, replyId: data.replyId };
+            const ok = { msg: "打印成功", templateId: data.templateId, replyId: data.replyId, printer: deviceName, requestedPrinter, job };
             socket.emit("successs", ok);
             socket.emit("success", ok);
           }
-          logPrintResult("success");
+          logPrintResult("success", "", job);
         })
         .catch((err) => {
           log(
@@ -236,20 +434,19 @@ function initPrintEvent() {
               data.templateId
             }】 打印失败，类型：URL_PDF，打印机：${deviceName}，原因：${err?.message || err}`,
           );
-          socket &&
-            socket.emit("error", {
-              msg: "打印失败: " + (err?.message || err),
-              templateId: data.templateId,
-              replyId: data.replyId,
-            });
-          logPrintResult("failed", err?.message || String(err));
+          failPrint(
+            "打印失败: " + (err?.message || err),
+            err?.message || String(err),
+            err?.job,
+            err?.retryable !== false,
+          );
         })
         .finally(() => {
           if (data.taskId) {
             PRINT_RUNNER_DONE[data.taskId]();
             delete PRINT_RUNNER_DONE[data.taskId];
           }
-          MAIN_WINDOW.webContents.send("printTask", PRINT_RUNNER.isBusy());
+          MAIN_WINDOW.webContents.send("printTask", isPrinting());
         });
       return;
     }
@@ -265,19 +462,21 @@ function initPrintEvent() {
             msg: errorMsg,
             templateId: data.templateId,
             replyId: data.replyId,
+            printer: deviceName,
+            requestedPrinter,
           });
         logPrintResult("failed", errorMsg);
         if (data.taskId) {
           PRINT_RUNNER_DONE[data.taskId]();
           delete PRINT_RUNNER_DONE[data.taskId];
         }
-        MAIN_WINDOW.webContents.send("printTask", PRINT_RUNNER.isBusy());
+        MAIN_WINDOW.webContents.send("printTask", isPrinting());
         return;
       }
       const pdfBlob = data.pdf_blob;
       delete data.pdf_blob;
       printPdfBlob(pdfBlob, deviceName, data)
-        .then(() => {
+        .then((job) => {
           log(
             `${data.replyId ? "中转服务" : "插件端"} ${socket?.id} 模板【${
               data.templateId
@@ -286,11 +485,11 @@ function initPrintEvent() {
             }`,
           );
           if (socket) {
-            const ok = { msg: "打印成功", templateId: data.templateId, replyId: data.replyId };
+            const ok = { msg: "打印成功", templateId: data.templateId, replyId: data.replyId, printer: deviceName, requestedPrinter, job };
             socket.emit("successs", ok);
             socket.emit("success", ok);
           }
-          logPrintResult("success");
+          logPrintResult("success", "", job);
         })
         .catch((err) => {
           log(
@@ -298,26 +497,25 @@ function initPrintEvent() {
               data.templateId
             }】 打印失败，类型：BLOB_PDF，打印机：${deviceName}，原因：${err?.message || err}`,
           );
-          socket &&
-            socket.emit("error", {
-              msg: "打印失败: " + (err?.message || err),
-              templateId: data.templateId,
-              replyId: data.replyId,
-            });
-          logPrintResult("failed", err?.message || String(err));
+          failPrint(
+            "打印失败: " + (err?.message || err),
+            err?.message || String(err),
+            err?.job,
+            err?.retryable !== false,
+          );
         })
         .finally(() => {
           if (data.taskId) {
             PRINT_RUNNER_DONE[data.taskId]();
             delete PRINT_RUNNER_DONE[data.taskId];
           }
-          MAIN_WINDOW.webContents.send("printTask", PRINT_RUNNER.isBusy());
+          MAIN_WINDOW.webContents.send("printTask", isPrinting());
         });
       return;
     }
 
     // ====== 分支 4：HTML 直接打印 ======
-    PRINT_WINDOW.webContents.print(
+    printWebContents.print(
       {
         silent: data.silent ?? true,
         printBackground: data.printBackground ?? true,
@@ -352,26 +550,18 @@ function initPrintEvent() {
               data.templateId
             }】 打印失败，类型：HTML，打印机：${deviceName}，原因：${failureReason}`,
           );
-          logPrintResult("failed", failureReason);
+          failPrint(failureReason);
         }
-        if (socket) {
-          if (success) {
-            const ok = { msg: "打印成功", templateId: data.templateId, replyId: data.replyId };
-            socket.emit("successs", ok);
-            socket.emit("success", ok);
-          } else {
-            socket.emit("error", {
-              msg: failureReason,
-              templateId: data.templateId,
-              replyId: data.replyId,
-            });
-          }
+        if (socket && success) {
+          const ok = { msg: "打印成功", templateId: data.templateId, replyId: data.replyId, printer: deviceName, requestedPrinter };
+          socket.emit("successs", ok);
+          socket.emit("success", ok);
         }
         if (data.taskId) {
           PRINT_RUNNER_DONE[data.taskId]();
           delete PRINT_RUNNER_DONE[data.taskId];
         }
-        MAIN_WINDOW.webContents.send("printTask", PRINT_RUNNER.isBusy());
+        MAIN_WINDOW.webContents.send("printTask", isPrinting());
       },
     );
   });
@@ -380,3 +570,6 @@ function initPrintEvent() {
 module.exports = async () => {
   await createPrintWindow();
 };
+
+module.exports.acquirePrintWindow = acquirePrintWindow;
+module.exports.releasePrintWindow = releasePrintWindow;
@@ -15,6 +15,7 @@ const {
 const dayjs = require("dayjs");
 const path = require("path");
 const db = require("../tools/database");
+const { listTasks, cancelTask } = require("../tools/task");
 
 function createPrintLogWindow() {
   const windowOptions = {
@@ -95,7 +96,7 @@ function loadingView(windowOptions) {
  * @return {void}
  */
 function fetchPrintLogs(event, { condition, params, page, sort }) {
-  const baseQuery = `SELECT id, timestamp, socketId, clientType, printer, templateId, pageNum, status, rePrintAble, errorMessage FROM print_logs`;
+  const baseQuery = `SELECT id, timestamp, socketId, clientType, printer, templateId, pageNum, status, rePrintAble, errorMessage, attempt, requestedPrinter, jobId, jobState FROM print_logs`;
   const totalQuery = `SELECT COUNT(*) AS total FROM print_logs`;
   let query = baseQuery;
   let total = totalQuery;
@@ -173,6 +174,34 @@ function rePrint(event, data) {
   });
 }
 
+/**
+ * @description: 获取定时任务列表
+ * @param {IpcMainEvent} event 事件
+ * @return {void}
+ */
+function fetchScheduledTasks(event) {
+  event.sender.send("scheduled-tasks", listTasks({ status: "scheduled" }));
+}
+
+/**
+ * @description: 取消定时任务
+ * @param {IpcMainEvent} event 事件
+ * @param {string} taskId 任务 id
+ * @return {void}
+ */
+function cancelScheduledTask(event, taskId) {
+  const result = cancelTask(taskId);
+  if (!result.success) {
+    dialog.showMessageBox(PRINT_LOG_WINDOW, {
+      type: "error",
+      title: "错误",
+      message: "取消定时任务失败！",
+      detail: result.msg,
+    });
+  }
+  fetchScheduledTasks(event);
+}
+
 /**
  * @description: 绑定打印日志窗口事件
  * @return {void}
@@ -181,6 +210,8 @@ function initPrintLogEvent() {
   ipcMain.on("request-logs", fetchPrintLogs);
   ipcMain.on("reprint", rePrint);
   ipcMain.on("clear-logs", clearPrintLogs);
+  ipcMain.on("request-scheduled-tasks", fetchScheduledTasks);
+  ipcMain.on("cancel-scheduled-task", cancelScheduledTask);
 }
 
 /**
@@ -191,6 +222,8 @@ function removePrintLogEvent() {
   ipcMain.removeListener("request-logs", fetchPrintLogs);
   ipcMain.removeListener("reprint", rePrint);
   ipcMain.removeListener("clear-logs", clearPrintLogs);
+  ipcMain.removeListener("request-scheduled-tasks", fetchScheduledTasks);
+  ipcMain.removeListener("cancel-scheduled-task", cancelScheduledTask);
   PRINT_LOG_WINDOW = null;
 }
 
@@ -0,0 +1,286 @@
+/*
+ * @Description: 原始指令打印（ESC/POS、ZPL、TSPL 等）
+ */
+const net = require("net");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const { spawn } = require("child_process");
+const log = require("../tools/log");
+const { store, isSocketPrinter, isIppPrinter } = require("../tools/utils");
+const { printIpp, waitCupsJob } = require("./ipp-print");
+const dayjs = require("dayjs");
+const { v7: uuidv7 } = require("uuid");
+
+// 直接发送原始指令的任务类型
+const RAW_TYPES = ["raw", "zpl", "tspl"];
+
+// 网络打印机默认端口（JetDirect）
+const RAW_SOCKET_PORT = 9100;
+
+/**
+ * Windows 通过 winspool.drv 以 RAW 数据类型直接写入打印队列
+ * 文件路径、打印机名称通过环境变量传入，避免转义问题
+ */
+const WIN_RAW_SCRIPT = `
+$ErrorActionPreference = "Stop"
+Add-Type -TypeDefinition @"
+using System;
+using System.ComponentModel;
+using System.Runtime.InteropServices;
+public static class HiprintRawPrinter {
+  [StructLayout(LayoutKind.Sequential, CharSet = CharSet.Unicode)]
+  public class DOCINFO {
+    public string pDocName;
+    public string pOutputFile;
+    public string pDataType;
+  }
+  [DllImport("winspool.drv", CharSet = CharSet.Unicode, SetLastError = true)]
+  public static extern bool OpenPrinter(string pPrinterName, out IntPtr phPrinter, IntPtr pDefault);
+  [DllImport("winspool.drv", SetLastError = true)]
+  public static extern bool ClosePrinter(IntPtr hPrinter);
+  [DllImport("winspool.drv", CharSet = CharSet.Unicode, SetLastError = true)]
+  public static extern int StartDocPrinter(IntPtr hPrinter, int level, [In] DOCINFO di);
+  [DllImport("winspool.drv", SetLastError = true)]
+  public static extern bool EndDocPrinter(IntPtr hPrinter);
+  [DllImport("winspool.drv", SetLastError = true)]
+  public static extern bool StartPagePrinter(IntPtr hPrinter);
+  [DllImport("winspool.drv", SetLastError = true)]
+  public static extern bool EndPagePrinter(IntPtr hPrinter);
+  [DllImport("winspool.drv", SetLastError = true)]
+  public static extern bool WritePrinter(IntPtr hPrinter, byte[] pBytes, int dwCount, out int dwWritten);
+  public static void Send(string printer, string title, byte[] bytes) {
+    IntPtr h;
+    if (!OpenPrinter(printer, out h, IntPtr.Zero)) throw new Win32Exception();
+    try {
+      DOCINFO di = new DOCINFO();
+      di.pDocName = title;
+      di.pDataType = "RAW";
+      if (StartDocPrinter(h, 1, di) == 0) throw new Win32Exception();
+      try {
+        if (!StartPagePrinter(h)) throw new Win32Exception();
+        int written;
+        if (!WritePrinter(h, bytes, bytes.Length, out written)) throw new Win32Exception();
+        if (written != bytes.Length) throw new Exception("written " + written + " of " + bytes.Length + " bytes");
+        EndPagePrinter(h);
+      } finally {
+        EndDocPrinter(h);
+      }
+    } finally {
+      ClosePrinter(h);
+    }
+  }
+}
+"@
+$bytes = [System.IO.File]::ReadAllBytes($env:HIPRINT_RAW_FILE)
+[HiprintRawPrinter]::Send($env:HIPRINT_RAW_PRINTER, $env:HIPRINT_RAW_TITLE, $bytes)
+`;
+
+/**
+ * @description: 将 base64 字符串、Buffer、Uint8Array、字节数组等转换为 Buffer
+ * @description: 任务持久化、IPC 传输后 Buffer 会变为 { type: "Buffer", data } 或 Uint8Array，这里统一还原
+ * @param {*} raw 原始指令
+ * @return {Buffer|null}
+ */
+function toRawBuffer(raw) {
+  let buffer = null;
+  if (typeof raw === "string") {
+    buffer = Buffer.from(raw, "base64");
+  } else if (Buffer.isBuffer(raw)) {
+    buffer = raw;
+  } else if (ArrayBuffer.isView(raw)) {
+    buffer = Buffer.from(raw.buffer, raw.byteOffset, raw.byteLength);
+  } else if (raw instanceof ArrayBuffer || Array.isArray(raw)) {
+    buffer = Buffer.from(raw);
+  } else if (raw && raw.type === "Buffer" && Array.isArray(raw.data)) {
+    buffer = Buffer.from(raw.data);
+  }
+  return buffer && buffer.length ? buffer : null;
+}
+
+/**
+ * @description: 取任务中的原始指令，raw 为字节或 base64，zpl、tspl 为指令文本
+ * @param {object} data 打印数据
+ * @return {Buffer|null}
+ */
+function getRawPayload(data) {
+  const type = `${data.type}`.toLowerCase();
+  const commands = data[type];
+  if (type !== "raw" && typeof commands === "string") {
+    return commands ? Buffer.from(commands, "utf8") : null;
+  }
+  return toRawBuffer(commands);
+}
+
+/**
+ * @description: 通过 TCP 直接发送到网络打印机
+ * @param {Buffer} buffer 原始指令
+ * @param {string} printer socket://host:port
+ * @return {Promise<void>}
+ */
+function sendToSocket(buffer, printer) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(printer);
+    // IPv6 地址去掉方括号
+    const host = url.hostname.replace(/^\[|\]$/g, "");
+    const port = Number(url.port) || RAW_SOCKET_PORT;
+    const timeout = store.get("networkPrinterTimeout", 10) * 1000;
+    let connected = false;
+    let sent = false;
+    log(`raw print: socket -> ${host}:${port}，${buffer.length} 字节`);
+    const client = net.connect({ host, port });
+    // 连接、发送过程中超过 timeout 无进展视为超时
+    client.setTimeout(timeout);
+    client.on("connect", () => {
+      connected = true;
+      client.end(buffer, () => {
+        sent = true;
+      });
+    });
+    // 部分打印机会回传状态信息，直接丢弃
+    client.on("data", () => {});
+    client.on("timeout", () => {
+      // 数据已全部发出，打印机未主动断开连接
+      if (sent) {
+        client.destroy();
+        return;
+      }
+      client.destroy(
+        new Error(
+          connected
+            ? `发送数据到网络打印机超时：${host}:${port}`
+            : `连接网络打印机超时：${host}:${port}`,
+        ),
+      );
+    });
+    client.on("error", reject);
+    client.on("close", (hadError) => {
+      if (hadError) return;
+      if (client.bytesWritten < buffer.length) {
+        reject(
+          new Error(
+            `数据未完整发送到网络打印机：${client.bytesWritten}/${buffer.length} 字节`,
+          ),
+        );
+        return;
+      }
+      resolve();
+    });
+  });
+}
+
+/**
+ * @description: 通过 CUPS raw 队列发送（macOS / Linux）
+ * @param {Buffer} buffer 原始指令
+ * @param {string} printer 打印机名称，为空时使用系统默认打印机
+ * @param {string} title 任务名称
+ * @return {Promise<string>} lp 输出，包含作业 id
+ */
+function sendToCups(buffer, printer, title) {
+  return new Promise((resolve, reject) => {
+    const args = ["-o", "raw", "-t", title];
+    if (printer) args.unshift("-d", printer);
+    log(`raw print: lp ${args.join(" ")}`);
+    const p = spawn("lp", args);
+    let stdout = "";
+    let stderr = "";
+    p.stdout.on("data", (d) => (stdout += d.toString()));
+    p.stderr.on("data", (d) => (stderr += d.toString()));
+    p.stdin.on("error", () => {});
+    p.on("error", reject);
+    p.on("close", (code) => {
+      if (code === 0) resolve(stdout);
+      else reject(new Error(stderr.trim() || `lp exit ${code}`));
+    });
+    p.stdin.end(buffer);
+  });
+}
+
+/**
+ * @description: 通过 Windows 打印队列以 RAW 数据类型发送
+ * @param {Buffer} buffer 原始指令
+ * @param {string} printer 打印机名称
+ * @param {string} title 任务名称
+ * @return {Promise<void>}
+ */
+function sendToSpooler(buffer, printer, title) {
+  return new Promise((resolve, reject) => {
+    if (!printer) return reject(new Error("未指定打印机"));
+    const rawPath = path.join(
+      store.get("pdfPath") || os.tmpdir(),
+      "hiprint",
+      dayjs().format(`YYYY_MM_DD HH_mm_ss_`) + `${uuidv7()}.bin`,
+    );
+    fs.mkdirSync(path.dirname(rawPath), { recursive: true });
+    fs.writeFileSync(rawPath, buffer);
+
+    log(`raw print: spooler @ ${printer}`);
+    const p = spawn(
+      "powershell.exe",
+      [
+        "-NoProfile",
+        "-NonInteractive",
+        "-ExecutionPolicy",
+        "Bypass",
+        "-EncodedCommand",
+        Buffer.from(WIN_RAW_SCRIPT, "utf16le").toString("base64"),
+      ],
+      {
+        windowsHide: true,
+        env: {
+          ...process.env,
+          HIPRINT_RAW_FILE: rawPath,
+          HIPRINT_RAW_PRINTER: printer,
+          HIPRINT_RAW_TITLE: title,
+        },
+      },
+    );
+    let stderr = "";
+    p.stderr.on("data", (d) => (stderr += d.toString()));
+    p.on("error", reject);
+    p.on("close", (code) => {
+      fs.unlink(rawPath, () => {});
+      if (code === 0) resolve();
+      else reject(new Error(stderr.trim() || `powershell exit ${code}`));
+    });
+  });
+}
+
+/**
+ * @typedef {import("../tools/task").JobInfo} JobInfo
+ */
+
+/**
+ * @description: 打印原始指令（ESC/POS、ZPL、TSPL 等），网络打印机走 TCP 或 IPP，Windows 走打印队列，macOS / Linux 走 lp -o raw
+ * @param {Buffer} buffer  原始指令
+ * @param {string} printer 打印机名称、socket://host:port 或 ipp://host:631/...
+ * @param {object} data    其它打印参数（title、copies）
+ * @return {Promise<JobInfo|null|void>} IPP、CUPS 返回打印作业信息
+ */
+function printRaw(buffer, printer, data = {}) {
+  if (isIppPrinter(printer)) {
+    return printIpp(buffer, printer, {
+      ...data,
+      documentFormat: "application/octet-stream",
+    });
+  }
+  const copies = Math.max(1, parseInt(data.copies) || 1);
+  const payload = copies > 1 ? Buffer.concat(Array(copies).fill(buffer)) : buffer;
+  const title = data.title || "hiprint";
+  if (isSocketPrinter(printer)) {
+    return sendToSocket(payload, printer);
+  }
+  if (process.platform === "win32") {
+    return sendToSpooler(payload, printer, title);
+  }
+  return sendToCups(payload, printer, title).then((output) =>
+    waitCupsJob(output, printer, data),
+  );
+}
+
+module.exports = {
+  RAW_TYPES,
+  toRawBuffer,
+  getRawPayload,
+  printRaw,
+};
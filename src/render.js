@@ -1,14 +1,30 @@
 "use strict";
 
 const fs = require("fs");
+const os = require("os");
 const { app, BrowserWindow, ipcMain, dialog, screen } = require("electron");
 const path = require("path");
 const { pathToFileURL } = require("url"); // ★ 新增
 const { Jimp } = require("jimp");
 const dayjs = require("dayjs");
+const { v7: uuidv7 } = require("uuid");
 
 const log = require("../tools/log");
-const { store } = require("../tools/utils");
+const {
+  store,
+  resolvePrinterAlias,
+  isNetworkPrinter,
+  getFailoverPrinter,
+  isPrinterAvailable,
+  applyPrintProfile,
+} = require("../tools/utils");
+const { printPdf } = require("./pdf-print");
+const {
+  updateTaskStatus,
+  retryTask,
+  getTask,
+  getTaskSocket,
+} = require("../tools/task");
 const db = require("../tools/database");
 
 // 这是 1920 * 1080 屏幕常规工作区域尺寸
@@ -28,6 +44,8 @@ let windowWorkArea = {
  * @property {number} y y坐标
  * @property {number} width 宽度
  * @property {number} height 高度
+ * @property {string} captureEvent 回调事件名称 默认 render-jpeg
+ * @property {string} captureFormat 图片格式 'jpeg' | 'png' 默认 jpeg
  */
 
 /**
@@ -121,12 +139,9 @@ async function createRenderWindow() {
  * @param {CapturePageData} data 截图数据
  */
 async function capturePage(event, data) {
-  let socket = null;
-  if (data.clientType === "local") {
-    socket = SOCKET_SERVER.sockets.sockets.get(data.socketId);
-  } else {
-    socket = SOCKET_CLIENT;
-  }
+  const socket = getTaskSocket(data);
+  const eventName = data.captureEvent || "render-jpeg";
+  const format = data.captureFormat === "png" ? "png" : "jpeg";
   // !在 win 上窗口可以超出屏幕尺寸，直接使用 webContents.capturePage api 截图没有问题
   // !在 mac 上窗口不能超出屏幕尺寸，需要一点儿点儿截图最后拼接
   try {
@@ -200,43 +215,45 @@ async function capturePage(event, data) {
       result.composite(jimpImg, 0, idx * height);
     }
 
-    result
-      .getBuffer("image/jpeg", {
-        quality: 100,
-      })
-      .then((buffer) => {
-        // 未打包调试模式下将图片保存到桌面
-        if (!app.isPackaged) {
-          fs.writeFile(
-            path.join(
-              app.getPath("desktop"),
-              `capture_${dayjs().format("YYYY-MM-DD HH_mm_ss")}.png`,
-            ),
-            buffer,
-            () => {},
-          );
-        }
-        log(
-          `${data.replyId ? "中转服务" : "插件端"} ${socket.id} 模版 【${
-            data.templateId
-          }】 获取 png 成功`,
-        );
-        socket.emit("render-jpeg-success", {
-          msg: `获取 jpeg 成功`,
-          templateId: data.templateId,
-          buffer,
-          replyId: data.replyId,
-        });
+    const buffer = await result.getBuffer(
+      `image/${format}`,
+      format === "jpeg" ? { quality: 100 } : undefined,
+    );
+    // 未打包调试模式下将图片保存到桌面
+    if (!app.isPackaged) {
+      fs.writeFile(
+        path.join(
+          app.getPath("desktop"),
+          `capture_${dayjs().format("YYYY-MM-DD HH_mm_ss")}.png`,
+        ),
+        buffer,
+        () => {},
+      );
+    }
+    updateTaskStatus(data.taskId, "succeeded");
+    log(
+      `${data.replyId ? "中转服务" : "插件端"} ${socket?.id} 模版 【${
+        data.templateId
+      }】 获取 png 成功`,
+    );
+    // 重启后恢复的任务没有 client 接收结果
+    socket &&
+      socket.emit(`${eventName}-success`, {
+        msg: `获取 ${format} 成功`,
+        templateId: data.templateId,
+        buffer,
+        replyId: data.replyId,
       });
   } catch (error) {
+    updateTaskStatus(data.taskId, "failed", error?.message || "获取 png 失败");
     log(
-      `${data.replyId ? "中转服务" : "插件端"} ${socket.id} 模版 【${
+      `${data.replyId ? "中转服务" : "插件端"} ${socket?.id} 模版 【${
         data.templateId
       }】 获取 png 失败`,
     );
     socket &&
-      socket.emit("render-jpeg-error", {
-        msg: `获取 png 失败`,
+      socket.emit(`${eventName}-error`, {
+        msg: `获取 ${format} 失败`,
         templateId: data.templateId,
         replyId: data.replyId,
       });
@@ -252,12 +269,7 @@ async function capturePage(event, data) {
  * @param {PrintToPDFData} data 打印数据
  */
 function printToPDF(event, data) {
-  let socket = null;
-  if (data.clientType === "local") {
-    socket = SOCKET_SERVER.sockets.sockets.get(data.socketId);
-  } else {
-    socket = SOCKET_CLIENT;
-  }
+  const socket = getTaskSocket(data);
   RENDER_WINDOW.webContents
     .printToPDF({
       landscape: data.landscape ?? false, // 横向打印
@@ -283,15 +295,23 @@ function printToPDF(event, data) {
           () => {},
         );
       }
-      socket.emit("render-pdf-success", {
-        templateId: data.templateId,
-        buffer,
-        replyId: data.replyId,
-      });
+      updateTaskStatus(data.taskId, "succeeded");
+      // 重启后恢复的任务没有 client 接收结果
+      socket &&
+        socket.emit("render-pdf-success", {
+          templateId: data.templateId,
+          buffer,
+          replyId: data.replyId,
+        });
     })
     .catch((error) => {
+      updateTaskStatus(
+        data.taskId,
+        "failed",
+        error?.message || "获取 pdf 失败",
+      );
       log(
-        `${data.replyId ? "中转服务" : "插件端"} ${socket.id} 模版 【${
+        `${data.replyId ? "中转服务" : "插件端"} ${socket?.id} 模版 【${
           data.templateId
         }】 获取 pdf 失败`,
       );
@@ -315,24 +335,37 @@ function printToPDF(event, data) {
  *
  * */
 async function printFun(event, data) {
-  let socket = null;
-  if (data.clientType === "local") {
-    socket = SOCKET_SERVER.sockets.sockets.get(data.socketId);
-  } else {
-    socket = SOCKET_CLIENT;
-  }
+  // client 重连后重复提交的任务会改为推送给新的连接，以任务记录为准
+  const { socketId, clientType, replyId } = getTask(data.taskId) || data;
+  Object.assign(data, { socketId, clientType, replyId });
+  const socket = getTaskSocket(data);
   const printers = await RENDER_WINDOW.webContents.getPrintersAsync();
   let havePrinter = false;
-  let defaultPrinter = data.printer || store.get("defaultPrinter", "");
+  // 打印机可以是设置中的别名
+  let defaultPrinter = resolvePrinterAlias(
+    data.printer || store.get("defaultPrinter", ""),
+    printers,
+  );
   let printerError = false;
+  // 获取默认打印机
+  if (defaultPrinter == "" || defaultPrinter == void 0) {
+    defaultPrinter = printers.find((element) => element.isDefault)?.name;
+  }
+  // 目标打印机不空闲时，按设置的故障转移顺序改用备用打印机
+  const requestedPrinter = defaultPrinter;
+  defaultPrinter = getFailoverPrinter(
+    defaultPrinter,
+    printers,
+    data.tokenPrinters,
+  );
+  if (defaultPrinter !== requestedPrinter) {
+    log(
+      `${data.replyId ? "中转服务" : "插件端"} ${socket?.id} 模板 【${
+        data.templateId
+      }】 打印机 ${requestedPrinter} 不可用，故障转移至 ${defaultPrinter}`,
+    );
+  }
   printers.forEach((element) => {
-    // 获取默认打印机
-    if (
-      element.isDefault &&
-      (defaultPrinter == "" || defaultPrinter == void 0)
-    ) {
-      defaultPrinter = element.name;
-    }
     // 判断打印机是否存在
     if (element.name === defaultPrinter) {
       // todo: 打印机状态对照表
@@ -343,7 +376,8 @@ async function printFun(event, data) {
           printerError = true;
         }
       } else {
-        if (element.status != 3) {
+        // 与故障转移一致，正在打印（4）不算异常
+        if (!isPrinterAvailable(element)) {
           printerError = true;
         }
       }
@@ -351,27 +385,38 @@ async function printFun(event, data) {
     }
   });
   if (printerError) {
+    const msg = defaultPrinter + "打印机异常";
     log(
-      `${data.replyId ? "中转服务" : "插件端"} ${socket.id} 模板 【${
+      `${data.replyId ? "中转服务" : "插件端"} ${socket?.id} 模板 【${
         data.templateId
-      }】 打印失败，打印机异常，打印机：${data.printer}`,
+      }】 打印失败，打印机异常，打印机：${defaultPrinter}`,
     );
-    socket &&
-      socket.emit("render-print-error", {
-        msg: data.printer + "打印机异常",
-        templateId: data.templateId,
-        replyId: data.replyId,
-      });
+    // 符合重试策略时等待重试，否则通知 client 打印失败
+    if (!retryTask(data.taskId, msg)) {
+      updateTaskStatus(data.taskId, "failed", msg);
+      socket &&
+        socket.emit("render-print-error", {
+          msg,
+          templateId: data.templateId,
+          replyId: data.replyId,
+          printer: defaultPrinter,
+          requestedPrinter,
+        });
+    }
     // 通过 taskMap 调用 task done 回调
-    PRINT_RUNNER_DONE[data.taskId]();
-    delete PRINT_RUNNER_DONE[data.taskId];
+    RENDER_RUNNER_DONE[data.taskId]();
+    delete RENDER_RUNNER_DONE[data.taskId];
     return;
   }
   let deviceName = defaultPrinter;
+  // 合并打印机、模板的默认打印参数
+  applyPrintProfile(data, deviceName);
 
-  const logPrintResult = (status, errorMessage = "") => {
+  const attempt = getTask(data.taskId)?.attempt;
+  // job 为 IPP、CUPS 打印时打印机上的作业信息
+  const logPrintResult = (status, errorMessage = "", job = null) => {
     db.run(
-      `INSERT INTO print_logs (socketId, clientType, printer, templateId, data, pageNum, status, rePrintAble, errorMessage) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      `INSERT INTO print_logs (socketId, clientType, printer, templateId, data, pageNum, status, rePrintAble, errorMessage, taskId, attempt, requestedPrinter, jobId, jobState) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         socket?.id,
         data.clientType,
@@ -382,6 +427,11 @@ async function printFun(event, data) {
         status,
         data.rePrintAble ?? 1,
         errorMessage,
+        data.taskId,
+        attempt,
+        requestedPrinter,
+        job?.id,
+        job?.state,
       ],
       (err) => {
         if (err) {
@@ -391,6 +441,101 @@ async function printFun(event, data) {
     );
   };
 
+  // 打印失败：符合重试策略时等待重试，retryable 为 false 时不重试，如作业已提交但未等到结束
+  const printCallback = (
+    success,
+    failureReason,
+    job = null,
+    retryable = true,
+  ) => {
+    const retry =
+      !success && retryable && retryTask(data.taskId, failureReason);
+    // 待重试的任务状态已由 retryTask 更新
+    if (!retry) {
+      updateTaskStatus(
+        data.taskId,
+        success ? "succeeded" : "failed",
+        success ? "" : failureReason,
+      );
+    }
+    // 重启后恢复的任务没有 client 接收结果，仍然记录打印日志
+    if (success) {
+      log(
+        `${data.replyId ? "中转服务" : "插件端"} ${socket?.id} 模板 【${
+          data.templateId
+        }】 打印成功，打印类型 JSON，打印机：${deviceName}，页数：${
+          data.pageNum
+        }`,
+      );
+      const result = {
+        msg: "打印成功",
+        templateId: data.templateId,
+        replyId: data.replyId,
+        printer: deviceName,
+        requestedPrinter,
+        job,
+      };
+      logPrintResult("success", "", job);
+      socket && socket.emit("render-print-success", result);
+    } else if (retry) {
+      logPrintResult("retrying", failureReason, job);
+    } else {
+      log(
+        `${data.replyId ? "中转服务" : "插件端"} ${socket?.id} 模板 【${
+          data.templateId
+        }】 打印失败，打印类型 JSON，打印机：${deviceName}，原因：${failureReason}`,
+      );
+      logPrintResult("failed", failureReason, job);
+      socket &&
+        socket.emit("render-print-error", {
+          msg: failureReason,
+          templateId: data.templateId,
+          replyId: data.replyId,
+          printer: deviceName,
+          requestedPrinter,
+          job,
+        });
+    }
+    // 通过 taskMap 调用 task done 回调
+    RENDER_RUNNER_DONE[data.taskId]();
+    // 删除 task
+    delete RENDER_RUNNER_DONE[data.taskId];
+  };
+
+  // 网络打印机（socket、IPP）无法使用系统打印，渲染为 PDF 后直接发送
+  if (isNetworkPrinter(deviceName)) {
+    const pdfPath = path.join(
+      store.get("pdfPath") || os.tmpdir(),
+      "hiprint",
+      dayjs().format(`YYYY_MM_DD HH_mm_ss_`) + `${uuidv7()}.pdf`,
+    );
+    fs.mkdirSync(path.dirname(pdfPath), { recursive: true });
+    RENDER_WINDOW.webContents
+      .printToPDF({
+        landscape: data.landscape ?? false,
+        printBackground: data.printBackground ?? true,
+        scale: data.scale ?? 1,
+        pageSize: data.pageSize,
+        margins: data.margins ?? { marginType: "none" },
+        pageRanges: data.pageRanges,
+        preferCSSPageSize: data.preferCSSPageSize ?? false,
+      })
+      .then((pdfData) => {
+        fs.writeFileSync(pdfPath, pdfData);
+        return printPdf(pdfPath, deviceName, data);
+      })
+      .then((job) => printCallback(true, "", job))
+      .catch((err) =>
+        printCallback(
+          false,
+          err?.message || String(err),
+          err?.job,
+          err?.retryable !== false,
+        ),
+      );
+    return;
+  }
+
   // 打印 详见https://www.electronjs.org/zh/docs/latest/api/web-contents
   RENDER_WINDOW.webContents.print(
     {
@@ -413,42 +558,7 @@ async function printFun(event, data) {
       footer: data.footer, // 打印尾
       pageSize: data.pageSize, // 打印纸张
     },
-    (success, failureReason) => {
-      if (socket) {
-        if (success) {
-          log(
-            `${data.replyId ? "中转服务" : "插件端"} ${socket.id} 模板 【${
-              data.templateId
-            }】 打印成功，打印类型 JSON，打印机：${deviceName}，页数：${
-              data.pageNum
-            }`,
-          );
-          const result = {
-            msg: "打印成功",
-            templateId: data.templateId,
-            replyId: data.replyId,
-          };
-          logPrintResult("success");
-          socket.emit("render-print-success", result);
-        } else {
-          log(
-            `${data.replyId ? "中转服务" : "插件端"} ${socket.id} 模板 【${
-              data.templateId
-            }】 打印失败，打印类型 JSON，打印机：${deviceName}，原因：${failureReason}`,
-          );
-          logPrintResult("failed", failureReason);
-          socket.emit("render-print-error", {
-            msg: failureReason,
-            templateId: data.templateId,
-            replyId: data.replyId,
-          });
-        }
-      }
-      // 通过 taskMap 调用 task done 回调
-      RENDER_RUNNER_DONE[data.taskId]();
-      // 删除 task
-      delete RENDER_RUNNER_DONE[data.taskId];
-    },
+    printCallback,
   );
 }
 
@@ -17,7 +17,10 @@ const {
 const path = require("path");
 const https = require("node:https");
 const fs = require("node:fs");
+const tls = require("node:tls");
+const net = require("node:net");
 const { store } = require("../tools/utils");
+const { exportCaCert, trustCaCert } = require("../tools/tls");
 const log = require("../tools/log");
 
 /**
@@ -110,7 +113,7 @@ function setConfig(event, data) {
       type: "question",
       title: "提示",
       message:
-        "保存设置需要重启软件，如有正在执行中的打印任务可能会被中断，是否确定要保存并重启？",
+        "保存设置需要重启软件，如有正在执行中的打印任务可能会被中断，未完成的任务将在重启后按恢复策略处理，是否确定要保存并重启？",
       buttons: ["确定", "取消"],
     })
     .then((res) => {
@@ -142,6 +145,20 @@ function setConfig(event, data) {
           });
           return;
         }
+        const securityError =
+          checkNetwork(data) || checkHttpsCert(data) || checkTokens(data);
+        if (securityError) {
+          dialog.showMessageBox(SET_WINDOW, {
+            type: "error",
+            title: "提示",
+            message: securityError,
+            buttons: ["确定"],
+          });
+          return;
+        }
+        data.printerAliases = cleanPrinterMapping(data.printerAliases);
+        data.printerGroups = cleanPrinterMapping(data.printerGroups);
+        data.printerFailover = cleanPrinterMapping(data.printerFailover);
         store.set(data);
         setTimeout(() => {
           app.relaunch();
@@ -151,6 +168,78 @@ function setConfig(event, data) {
     });
 }
 
+/**
+ * @description: 校验 HTTPS 证书、私钥是否可用，都未设置时使用自签名证书
+ * @param {Object} data 配置数据
+ * @return {string} 错误信息，校验通过时返回空字符串
+ */
+function checkHttpsCert(data) {
+  if (!data.httpsCert && !data.httpsKey) return "";
+  if (!data.httpsCert || !data.httpsKey) {
+    return "证书文件与私钥文件需要同时设置！";
+  }
+  try {
+    tls.createSecureContext({
+      cert: fs.readFileSync(data.httpsCert),
+      key: fs.readFileSync(data.httpsKey),
+    });
+  } catch (err) {
+    return `证书或私钥无法使用：${err.message}`;
+  }
+  return "";
+}
+
+/**
+ * @description: 校验监听地址与 IP 白名单格式
+ * @param {Object} data 配置数据
+ * @return {string} 错误信息，校验通过时返回空字符串
+ */
+function checkNetwork(data) {
+  if (data.bindAddress && !net.isIP(data.bindAddress)) {
+    return `监听地址【${data.bindAddress}】不是有效的 IP！`;
+  }
+  const invalid = (data.ipAllowlist || []).find((rule) => {
+    const [ip, prefix] = rule.trim().split("/");
+    const max = net.isIPv6(ip) ? 128 : 32;
+    return (
+      !net.isIP(ip) ||
+      (prefix !== undefined && !(/^\d+$/.test(prefix) && prefix <= max))
+    );
+  });
+  return invalid ? `IP 白名单【${invalid}】格式错误！` : "";
+}
+
+/**
+ * @description: 校验访问令牌，token 不能少于 5 个字符，且不能重复
+ * @param {Object} data 配置数据
+ * @return {string} 错误信息，校验通过时返回空字符串
+ */
+function checkTokens(data) {
+  const tokens = (data.tokens || []).map((item) => item.token);
+  if (tokens.some((token) => token.length < 5)) {
+    return "访问令牌不能少于 5 个字符！";
+  }
+  if (new Set([data.token, ...tokens]).size !== tokens.length + 1) {
+    return "访问令牌不能重复，也不能与 TOKEN 设置相同！";
+  }
+  return "";
+}
+
+/**
+ * @description: 清理打印机别名、分组中未填写名称或未选择打印机的项
+ * @param {Object} mapping { [名称]: Array<打印机名称> }
+ * @return {Object}
+ */
+function cleanPrinterMapping(mapping = {}) {
+  return Object.keys(mapping).reduce((result, name) => {
+    const printers = [].concat(mapping[name]).filter(Boolean);
+    if (name.trim() && printers.length) {
+      result[name.trim()] = printers;
+    }
+    return result;
+  }, {});
+}
+
 /**
  * @description: 渲染进程触发下载插件
  * @param {IpcMainEvent} event
@@ -229,14 +318,14 @@ function showMessageBox(event, data) {
 }
 
 /**
- * @description: 渲染进程触发选择目录
+ * @description: 渲染进程触发选择目录、文件，选择目录时校验是否可写
  * @param {IpcMainEvent} event
  * @param {Object} data https://www.electronjs.org/zh/docs/latest/api/dialog#dialogshowopendialogbrowserwindow-options
  * @return {void}
  */
 function showOpenDialog(event, data) {
   dialog.showOpenDialog(SET_WINDOW, data).then((result) => {
-    if (!result.canceled) {
+    if (!result.canceled && data.properties?.includes("openDirectory")) {
       try {
         fs.accessSync(result.filePaths[0], fs.constants.W_OK);
       } catch {
@@ -253,6 +342,78 @@ function showOpenDialog(event, data) {
   });
 }
 
+/**
+ * @description: 渲染进程触发导出自签名 CA 证书
+ * @param {IpcMainEvent} event
+ * @return {void}
+ */
+function exportCa(event) {
+  dialog
+    .showSaveDialog(SET_WINDOW, {
+      title: "导出 CA 证书",
+      defaultPath: path.join(app.getPath("downloads"), "hiprint-ca.crt"),
+      filters: [{ name: "Certificate", extensions: ["crt", "pem"] }],
+    })
+    .then((result) => {
+      if (result.canceled) return;
+      try {
+        exportCaCert(result.filePath);
+        dialog.showMessageBox(SET_WINDOW, {
+          type: "info",
+          title: "提示",
+          message: "CA 证书导出成功，请在访问设备上将其导入为受信任的根证书！",
+          buttons: ["确定"],
+        });
+      } catch (err) {
+        log(`CA 证书导出失败：${err.message}`);
+        dialog.showMessageBox(SET_WINDOW, {
+          type: "error",
+          title: "提示",
+          message: `CA 证书导出失败：${err.message}`,
+          buttons: ["确定"],
+        });
+      }
+    });
+}
+
+/**
+ * @description: 渲染进程触发信任自签名 CA 证书，确认后再添加到受信任的根证书
+ * @param {IpcMainEvent} event
+ * @return {void}
+ */
+function trustCa(event) {
+  dialog
+    .showMessageBox(SET_WINDOW, {
+      type: "warning",
+      title: "提示",
+      message: "确定要将本机 CA 证书添加到受信任的根证书吗？",
+      detail:
+        "该 CA 只能为 localhost、本机名称、回环及局域网私有地址签发证书。CA 私钥保存在用户数据目录的 tls 文件夹中，请勿泄露给他人。",
+      buttons: ["信任", "取消"],
+      defaultId: 1,
+      cancelId: 1,
+    })
+    .then(({ response }) => response === 0 && trustCaCert().then(() => true))
+    .then((trusted) => {
+      if (!trusted) return;
+      dialog.showMessageBox(SET_WINDOW, {
+        type: "info",
+        title: "提示",
+        message: "CA 证书已添加到受信任的根证书，重启浏览器后生效！",
+        buttons: ["确定"],
+      });
+    })
+    .catch((err) => {
+      log(`信任 CA 证书失败：${err.message}`);
+      dialog.showMessageBox(SET_WINDOW, {
+        type: "error",
+        title: "提示",
+        message: `信任 CA 证书失败：${err.message}`,
+        buttons: ["确定"],
+      });
+    });
+}
+
 /**
  * @description: 渲染进程触发打开目录
  * @param {IpcMainEvent} event
@@ -344,6 +505,8 @@ function initSetEvent() {
   ipcMain.on("closeSetWindow", closeSetWindow);
   ipcMain.on("downloadPlugin", downloadPlugin);
   ipcMain.on("getPrintersList", getPrintersList);
+  ipcMain.on("exportCaCert", exportCa);
+  ipcMain.on("trustCaCert", trustCa);
 }
 
 /**
@@ -360,6 +523,8 @@ function removeEvent() {
   ipcMain.removeListener("closeSetWindow", closeSetWindow);
   ipcMain.removeListener("downloadPlugin", downloadPlugin);
   ipcMain.removeListener("getPrintersList", getPrintersList);
+  ipcMain.removeListener("exportCaCert", exportCa);
+  ipcMain.removeListener("trustCaCert", trustCa);
   SET_WINDOW = null;
 }
 
@@ -0,0 +1,476 @@
+/*
+ * @Description: ZPL 预览，将常用 ZPL 指令转换为 HTML，交给渲染窗口截图
+ * @Description: 仅支持文本、图形、常见条码，结果为近似效果
+ */
+const bwipjs = require("bwip-js");
+
+// 标签默认宽度 4 英寸（毫米）
+const DEFAULT_LABEL_WIDTH = 101.6;
+// 标签默认高度 6 英寸（毫米）
+const DEFAULT_LABEL_HEIGHT = 152.4;
+
+// 内置字体默认 [高度, 宽度]（点）
+const FONT_SIZES = {
+  A: [9, 5],
+  B: [11, 7],
+  C: [18, 10],
+  D: [18, 10],
+  E: [28, 15],
+  F: [26, 13],
+  G: [60, 40],
+  H: [21, 13],
+  0: [15, 12],
+};
+
+// 字段方向对应的旋转角度
+const ROTATIONS = { N: 0, R: 90, I: 180, B: 270 };
+
+/**
+ * 一维条码：bwip-js 编码、参数中高度、是否打印注释行、注释行是否在上方所在位置
+ */
+const LINEAR_BARCODES = {
+  BC: { bcid: "code128", height: 1, print: 2, above: 3 },
+  B3: { bcid: "code39", height: 2, print: 3, above: 4 },
+  BA: { bcid: "code93", height: 1, print: 2, above: 3 },
+  BE: { bcid: "ean13", height: 1, print: 2, above: 3 },
+  B8: { bcid: "ean8", height: 1, print: 2, above: 3 },
+  BU: { bcid: "upca", height: 1, print: 2, above: 3 },
+  B9: { bcid: "upce", height: 1, print: 2, above: 3 },
+  B2: { bcid: "interleaved2of5", height: 1, print: 2, above: 3 },
+  BK: { bcid: "rationalizedCodabar", height: 2, print: 3, above: 4 },
+};
+
+const escapeHtml = (str) =>
+  String(str).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        c
+      ]),
+  );
+
+const toInt = (val, def) => {
+  const num = parseInt(val);
+  return isNaN(num) ? def : num;
+};
+
+/**
+ * @description: 字段方向、反色对应的样式
+ * @param {Object} field 字段
+ * @return {string}
+ */
+function fieldStyle(field) {
+  let style = `position:absolute;left:${field.left}px;top:${field.top}px;`;
+  const rotate = ROTATIONS[field.orientation] || 0;
+  if (rotate) {
+    style += `transform-origin:0 0;transform:rotate(${rotate}deg);`;
+  }
+  if (field.reverse) {
+    style += "mix-blend-mode:difference;";
+  }
+  return style;
+}
+
+/**
+ * @description: 文本字段
+ * @param {Object} field 字段
+ * @return {{html: string, height: number}}
+ */
+function renderText(field) {
+  const { font } = field;
+  const color = field.reverse ? "#fff" : "#000";
+  let style = `${fieldStyle(field)}color:${color};font-family:Arial,sans-serif;font-size:${font.height}px;line-height:${font.height}px;`;
+  let text = escapeHtml(field.data);
+  let lines = 1;
+  if (field.block) {
+    const { width, maxLines, spacing, justify } = field.block;
+    const align = { C: "center", R: "right", J: "justify" }[justify] || "left";
+    style += `width:${width}px;text-align:${align};white-space:pre-wrap;word-break:break-all;line-height:${font.height +
+      spacing}px;max-height:${(font.height + spacing) *
+      maxLines}px;overflow:hidden;`;
+    // ^FB 中 \& 为换行
+    text = field.data
+      .split("\\&")
+      .map(escapeHtml)
+      .join("\n");
+    lines = maxLines;
+  } else {
+    style += "white-space:pre;";
+    // 字体 0 同时指定高度、宽度时按比例横向缩放
+    if (font.scale !== 1) {
+      text = `<span style="display:inline-block;transform-origin:0 0;transform:scaleX(${font.scale});">${text}</span>`;
+    }
+  }
+  return {
+    html: `<div style="${style}">${text}</div>`,
+    height: font.height * lines,
+  };
+}
+
+/**
+ * @description: 图形字段 ^GB ^GC ^GE ^GF
+ * @param {Object} field 字段
+ * @return {{html: string, height: number}}
+ */
+function renderGraphic(field) {
+  const { cmd, params } = field.graphic;
+  const fill = field.reverse ? "#fff" : "#000";
+  let width = 0;
+  let height = 0;
+  let style = `${fieldStyle(field)}box-sizing:border-box;`;
+  if (cmd === "GB" || cmd === "GE") {
+    const thickness = toInt(params[2], 1);
+    width = Math.max(toInt(params[0], thickness), thickness);
+    height = Math.max(toInt(params[1], thickness), thickness);
+    const color = params[3] === "W" ? "#fff" : fill;
+    const radius =
+      cmd === "GE"
+        ? "50%"
+        : `${(Math.min(toInt(params[4], 0), 8) / 8) *
+            (Math.min(width, height) / 2)}px`;
+    style += `width:${width}px;height:${height}px;border:${thickness}px solid ${color};border-radius:${radius};`;
+  } else if (cmd === "GC") {
+    const thickness = toInt(params[1], 1);
+    width = height = Math.max(toInt(params[0], 3), thickness);
+    const color = params[2] === "W" ? "#fff" : fill;
+    style += `width:${width}px;height:${height}px;border:${thickness}px solid ${color};border-radius:50%;`;
+  } else {
+    // ^GF 点阵图片不解码，以灰色占位
+    const total = toInt(params[2], 0);
+    const rowBytes = toInt(params[3], 0);
+    width = rowBytes * 8;
+    height = rowBytes ? Math.ceil(total / rowBytes) : 0;
+    style += `width:${width}px;height:${height}px;background:#ccc;`;
+  }
+  return { html: `<div style="${style}"></div>`, height };
+}
+
+/**
+ * @description: 使用 bwip-js 生成条码 svg，返回 svg 及其模块数尺寸
+ * @param {Object} options bwip-js 参数
+ * @return {{svg: string, width: number, height: number}|null}
+ */
+function toBarcodeSvg(options) {
+  try {
+    const svg = bwipjs.toSVG({ scale: 1, ...options });
+    const viewBox = /viewBox="0 0 ([\d.]+) ([\d.]+)"/.exec(svg);
+    return {
+      svg: svg.replace(
+        "<svg ",
+        '<svg preserveAspectRatio="none" style="display:block;width:100%;height:100%;" ',
+      ),
+      width: viewBox ? Number(viewBox[1]) : 0,
+      height: viewBox ? Number(viewBox[2]) : 0,
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * @description: 条码字段
+ * @param {Object} field 字段
+ * @param {Object} barDefault ^BY 默认参数
+ * @return {{html: string, height: number}}
+ */
+function renderBarcode(field, barDefault) {
+  const { cmd, params } = field.barcode;
+  const moduleWidth = barDefault.width;
+  let text = field.data;
+  let options = null;
+  let width = 0;
+  let height = 0;
+  let humanReadable = "";
+
+  const linear = LINEAR_BARCODES[cmd];
+  if (linear) {
+    height = toInt(params[linear.height], barDefault.height);
+    // code128 的字符集切换指令不参与编码
+    if (cmd === "BC") text = text.replace(/>[0-9:;<=]/g, "");
+    options = { bcid: linear.bcid, text, height: 10 };
+    if (params[linear.print] !== "N") {
+      humanReadable = text;
+    }
+  } else if (cmd === "BQ") {
+    // ^FD 格式为 纠错级别 + 输入模式 + 逗号 + 数据，例如 QA,123
+    const comma = text.indexOf(",");
+    const eclevel = "HQML".includes(text[0]) ? text[0] : "Q";
+    options = {
+      bcid: "qrcode",
+      text: comma > -1 ? text.slice(comma + 1) : text,
+      eclevel,
+    };
+  } else if (cmd === "BX") {
+    options = { bcid: "datamatrix", text };
+  } else if (cmd === "B7") {
+    options = { bcid: "pdf417", text };
+  }
+
+  const barcode = options && toBarcodeSvg(options);
+  if (!barcode) {
+    // 无法识别的条码以虚线框占位
+    width = height = Math.max(height, 40);
+    return {
+      html: `<div style="${fieldStyle(
+        field,
+      )}width:${width}px;height:${height}px;border:1px dashed #999;box-sizing:border-box;"></div>`,
+      height,
+    };
+  }
+
+  if (linear) {
+    width = barcode.width * moduleWidth;
+  } else if (cmd === "BQ") {
+    const magnification = toInt(params[2], 2);
+    width = barcode.width * magnification;
+    height = barcode.height * magnification;
+  } else if (cmd === "BX") {
+    const size = toInt(params[1], moduleWidth * 3);
+    width = barcode.width * size;
+    height = barcode.height * size;
+  } else {
+    // pdf417 每行在 svg 中高 3 个单位
+    width = barcode.width * moduleWidth;
+    height = (barcode.height / 3) * toInt(params[1], moduleWidth * 3);
+  }
+
+  // ^FT 的 y 为条码底部
+  if (field.typeset) field.top -= height;
+
+  const fontSize = Math.max(10, moduleWidth * 9);
+  const textHtml = humanReadable
+    ? `<div style="width:${width}px;text-align:center;font-family:Arial,sans-serif;font-size:${fontSize}px;line-height:${fontSize}px;">${escapeHtml(
+        humanReadable,
+      )}</div>`
+    : "";
+  const above = linear && params[linear.above] === "Y";
+  const barHtml = `<div style="width:${width}px;height:${height}px;">${barcode.svg}</div>`;
+  return {
+    html: `<div style="${fieldStyle(field)}">${
+      above ? textHtml + barHtml : barHtml + textHtml
+    }</div>`,
+    height: height + (humanReadable ? fontSize : 0),
+  };
+}
+
+/**
+ * @description: 解析 ZPL，得到每张标签的尺寸与元素
+ * @param {string} zpl ZPL 指令
+ * @return {Array<{width: number, height: number, bottom: number, elements: string[]}>}
+ */
+function parseZpl(zpl) {
+  const labels = [];
+  let label = null;
+  let field = {};
+  let home = { x: 0, y: 0 };
+  let defaultFont = { name: "A", height: 9, scale: 1 };
+  let barDefault = { width: 2, ratio: 3, height: 10 };
+
+  const newLabel = () => ({ width: 0, height: 0, bottom: 0, elements: [] });
+  const getFont = (name, height, width) => {
+    const size = FONT_SIZES[name] || FONT_SIZES[0];
+    const h = toInt(height, 0);
+    const w = toInt(width, 0);
+    return {
+      name,
+      height: h || (w ? Math.round((w * size[0]) / size[1]) : size[0]),
+      scale: name === "0" && h && w ? w / h : 1,
+    };
+  };
+
+  // ^FS 结束字段，按字段内容生成元素
+  const emitField = () => {
+    if (field.x === undefined && field.y === undefined) {
+      field.x = field.y = 0;
+    }
+    field.left = home.x + field.x;
+    field.top = home.y + field.y;
+    let data = field.data || "";
+    if (field.hexIndicator) {
+      const indicator = field.hexIndicator.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      data = data.replace(
+        new RegExp(`(${indicator}[0-9A-Fa-f]{2})+`, "g"),
+        (match) =>
+          Buffer.from(match.split(field.hexIndicator).join(""), "hex").toString(
+            "utf8",
+          ),
+      );
+    }
+    field.data = data;
+
+    let result = null;
+    if (field.graphic) {
+      result = renderGraphic(field);
+    } else if (field.barcode) {
+      result = renderBarcode(field, barDefault);
+    } else if (field.data) {
+      field.font = field.font || defaultFont;
+      // ^FT 的 y 为文字基线
+      if (field.typeset) field.top -= field.font.height;
+      result = renderText(field);
+    }
+    if (result) {
+      label.elements.push(result.html);
+      label.bottom = Math.max(label.bottom, field.top + result.height);
+    }
+  };
+
+  // 去掉 ~ 开头的设备控制指令，ZPL 忽略换行
+  const tokens = String(zpl)
+    .replace(/[\r\n]/g, "")
+    .replace(/~[A-Z]{2}[^\^~]*/gi, "")
+    .split("^")
+    .slice(1);
+
+  tokens.forEach((token) => {
+    const cmd = token.slice(0, 2).toUpperCase();
+    const params = token
+      .slice(2)
+      .trim()
+      .split(",");
+    if (!label && cmd !== "XA") label = newLabel();
+
+    // ^A 字体指令没有固定的两位指令名，第二位为字体名称
+    if (cmd[0] === "A" && cmd !== "A@") {
+      const [orientation, height, width] = token.slice(2).split(",");
+      field.font = getFont(
+        (token[1] || defaultFont.name).toUpperCase(),
+        height,
+        width,
+      );
+      field.orientation = orientation.trim().toUpperCase() || undefined;
+      return;
+    }
+
+    switch (cmd) {
+      case "XA":
+        label = newLabel();
+        field = {};
+        break;
+      case "XZ":
+        labels.push(label);
+        label = null;
+        field = {};
+        break;
+      case "PW":
+        label.width = toInt(params[0], 0);
+        break;
+      case "LL":
+        label.height = toInt(params[0], 0);
+        break;
+      case "LH":
+        home = { x: toInt(params[0], 0), y: toInt(params[1], 0) };
+        break;
+      case "CF":
+        defaultFont = getFont(
+          (params[0] || defaultFont.name).toUpperCase(),
+          params[1],
+          params[2],
+        );
+        break;
+      case "A@":
+        field.font = getFont("0", params[1], params[2]);
+        field.orientation = params[0].toUpperCase() || undefined;
+        break;
+      case "BY":
+        barDefault = {
+          width: toInt(params[0], barDefault.width),
+          ratio: Number(params[1]) || barDefault.ratio,
+          height: toInt(params[2], barDefault.height),
+        };
+        break;
+      case "FO":
+      case "FT":
+        field.x = toInt(params[0], 0);
+        field.y = toInt(params[1], 0);
+        field.typeset = cmd === "FT";
+        break;
+      case "FB":
+        field.block = {
+          width: toInt(params[0], 0),
+          maxLines: Math.max(toInt(params[1], 1), 1),
+          spacing: toInt(params[2], 0),
+          justify: (params[3] || "L").toUpperCase(),
+        };
+        break;
+      case "FH":
+        field.hexIndicator = token.slice(2, 3) || "_";
+        break;
+      case "FR":
+        field.reverse = true;
+        break;
+      case "FD":
+      case "FV":
+        field.data = token.slice(2);
+        break;
+      case "GB":
+      case "GC":
+      case "GE":
+      case "GF":
+        field.graphic = { cmd, params };
+        break;
+      case "FS":
+        emitField();
+        field = {};
+        break;
+      default:
+        if (LINEAR_BARCODES[cmd] || ["BQ", "BX", "B7"].includes(cmd)) {
+          field.barcode = { cmd, params };
+          field.orientation = params[0].toUpperCase() || undefined;
+        }
+        break;
+    }
+  });
+  if (label && label.elements.length) labels.push(label);
+  return labels;
+
+}
+
+/**
+ * @description: ZPL 转换为 HTML，每张标签一个 .hiprint-printPaper，便于渲染窗口按纸张截图
+ * @param {string} zpl ZPL 指令
+ * @param {Object} options 预览参数
+ * @param {number} options.dpmm 打印密度（点/毫米）默认 8（203 dpi）
+ * @param {number} options.width 标签宽度（毫米），^PW 优先
+ * @param {number} options.height 标签高度（毫米），^LL 优先
+ * @return {string}
+ */
+function zplToHtml(zpl, options = {}) {
+  const dpmm = Number(options.dpmm) || 8;
+  const labels = parseZpl(zpl);
+  if (!labels.length) labels.push({ width: 0, height: 0, bottom: 0, elements: [] });
+  return labels
+    .map((label) => {
+      const width =
+        label.width ||
+        Math.round((Number(options.width) || DEFAULT_LABEL_WIDTH) * dpmm);
+      const height =
+        label.height ||
+        (options.height && Math.round(options.height * dpmm)) ||
+        label.bottom ||
+        Math.round(DEFAULT_LABEL_HEIGHT * dpmm);
+      return `<div class="hiprint-printPaper" style="position:relative;width:${width}px;height:${height}px;overflow:hidden;background:#fff;">${label.elements.join(
+        "",
+      )}</div>`;
+    })
+    .join("");
+}
+
+/**
+ * @description: 生成 ZPL 预览任务数据，复用渲染窗口 png 截图流程，结果通过 render-zpl-preview-success 返回 png
+ * @param {Object} data render-zpl-preview 参数
+ * @return {Object}
+ */
+function getZplPreviewData(data) {
+  return {
+    ...data,
+    html: zplToHtml(data.zpl, data),
+    captureEvent: "render-zpl-preview",
+    captureFormat: "png",
+  };
+}
+
+module.exports = {
+  zplToHtml,
+  getZplPreviewData,
+};
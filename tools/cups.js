@@ -0,0 +1,143 @@
+/*
+ * @Description: macOS / Linux 通过本机 CUPS 的 IPP 接口查询打印机纸张、能力、状态
+ */
+const ipp = require("ipp");
+
+// 本机 CUPS 服务地址
+const CUPS_URL = "ipp://localhost:631/printers/";
+
+// printer-state 对应的状态信息，与 getPrintersAsync 的 status 一致
+const CUPS_PRINTER_STATES = {
+  3: "空闲（Idle）",
+  4: "正在打印（Printing）",
+  5: "已停止（Stopped）",
+};
+
+// ipp 会将 printer-state 解析为关键字，统一转换为数字
+const CUPS_PRINTER_STATE_ENUM = { idle: 3, processing: 4, stopped: 5 };
+
+const CUPS_PRINTER_ATTRIBUTES = [
+  "printer-name",
+  "printer-state",
+  "printer-state-reasons",
+  "printer-state-message",
+  "queued-job-count",
+  "media-supported",
+  "media-default",
+  "sides-supported",
+  "color-supported",
+  "print-color-mode-supported",
+  "printer-resolution-supported",
+];
+
+/**
+ * @description: 单值属性统一转为数组
+ */
+const toArray = (value) => (value == null ? [] : [].concat(value));
+
+/**
+ * @description: PWG 纸张名称转换为 paperSizeInfo 的纸张信息，宽高单位为 1/100 英寸
+ * @param {string} media 如 iso_a4_210x297mm、na_letter_8.5x11in
+ * @return {Object|null} 自定义纸张范围（custom_min、custom_max）等无法解析时返回 null
+ */
+function parseMedia(media) {
+  const match = /^([a-z0-9]+)_([a-z0-9.-]+)_([\d.]+)x([\d.]+)(mm|in)$/.exec(
+    media,
+  );
+  if (!match || match[1] === "custom") return null;
+  const [, , name, width, height, unit] = match;
+  const toHundredthsInch = (value) =>
+    Math.round(unit === "in" ? value * 100 : (value / 25.4) * 100);
+  return {
+    Height: toHundredthsInch(height),
+    // Kind、RawKind 为 Windows 纸张枚举，CUPS 纸张统一为 0（自定义）
+    Kind: 0,
+    PaperName: /^[a-z]\d+$/.test(name)
+      ? name.toUpperCase()
+      : name.charAt(0).toUpperCase() + name.slice(1),
+    RawKind: 0,
+    Width: toHundredthsInch(width),
+    // 打印时可作为 paperName 传给 lp -o media=
+    Media: media,
+  };
+}
+
+/**
+ * @description: 分辨率转换为 300x300dpi 格式，ipp 解析结果为 [x, y, unit]
+ */
+function formatResolutions(value) {
+  const list =
+    Array.isArray(value) && typeof value[0] === "number"
+      ? [value]
+      : toArray(value);
+  return list.map((res) =>
+    Array.isArray(res) ? `${res[0]}x${res[1]}${res[2] || "dpi"}` : `${res}`,
+  );
+}
+
+/**
+ * @description: 查询 CUPS 打印机属性
+ * @param {string} printer 打印机名称
+ * @return {Promise<Object>} printer-attributes-tag
+ */
+function getPrinterAttributes(printer) {
+  return new Promise((resolve, reject) => {
+    ipp
+      .Printer(CUPS_URL + encodeURIComponent(printer.split("/")[0]))
+      .execute(
+        "Get-Printer-Attributes",
+        {
+          "operation-attributes-tag": {
+            "requesting-user-name": "hiPrint",
+            "requested-attributes": CUPS_PRINTER_ATTRIBUTES,
+          },
+        },
+        (err, res) => {
+          if (err) return reject(err);
+          if (!/^successful/.test(res.statusCode)) {
+            return reject(new Error(`${printer}：${res.statusCode}`));
+          }
+          resolve(res["printer-attributes-tag"] || {});
+        },
+      );
+  });
+}
+
+/**
+ * @description: 获取 CUPS 打印机纸张、能力、状态，格式与 win32-pdf-printer 的 paperSizeInfo 一致
+ * @param {string} printer 打印机名称
+ * @return {Promise<Object>} { PrinterName, TaskNumber, Status, StatusMsg, Reasons, PaperSizes, DefaultPaper, Sides, Duplex, ColorModes, Color, Resolutions }
+ */
+async function getCupsPrinterInfo(printer) {
+  const attrs = await getPrinterAttributes(printer);
+  const state =
+    CUPS_PRINTER_STATE_ENUM[attrs["printer-state"]] || attrs["printer-state"];
+  const reasons = toArray(attrs["printer-state-reasons"]).filter(
+    (reason) => reason !== "none",
+  );
+  const detail = attrs["printer-state-message"] || reasons.join(",");
+  const media = [...new Set(toArray(attrs["media-supported"]))];
+  const sides = toArray(attrs["sides-supported"]);
+  const colorModes = toArray(attrs["print-color-mode-supported"]);
+  return {
+    PrinterName: printer,
+    TaskNumber: attrs["queued-job-count"] || 0,
+    Status: state,
+    StatusMsg: `${CUPS_PRINTER_STATES[state] || state}${
+      detail ? `：${detail}` : ""
+    }`,
+    Reasons: reasons,
+    PaperSizes: media.map(parseMedia).filter(Boolean),
+    DefaultPaper: attrs["media-default"],
+    Sides: sides,
+    Duplex: sides.some((side) => side.startsWith("two-sided")),
+    ColorModes: colorModes,
+    Color: attrs["color-supported"] ?? colorModes.includes("color"),
+    Resolutions: formatResolutions(attrs["printer-resolution-supported"]),
+  };
+}
+
+module.exports = {
+  CUPS_URL,
+  getCupsPrinterInfo,
+};
@@ -43,6 +43,48 @@ db.serialize(() => {
       }
     },
   );
+
+  // 添加新的可选字段：任务 id、第几次执行（失败重试）、原目标打印机（故障转移）
+  const columns = [
+    "taskId TEXT",
+    "attempt INTEGER",
+    "requestedPrinter TEXT",
+    "jobId TEXT",
+    "jobState TEXT",
+  ];
+  columns.forEach((column) => {
+    db.run(`ALTER TABLE print_logs ADD COLUMN ${column};`, (err) => {
+      if (err && !err.message.includes("duplicate column")) {
+        console.error("添加新字段时出错:", err);
+      }
+    });
+  });
+
+  // 创建幂等键表，用于过滤重复提交的打印任务
+  db.run(`
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      idempotencyKey TEXT PRIMARY KEY,
+      taskId TEXT,
+      type TEXT,
+      status TEXT,
+      msg TEXT,
+      createTime INTEGER
+    )
+  `);
+
+  // 创建未完成任务表，用于崩溃、重启后恢复队列
+  db.run(`
+    CREATE TABLE IF NOT EXISTS task_queue (
+      taskId TEXT PRIMARY KEY,
+      runner TEXT,
+      type TEXT,
+      socketId TEXT,
+      clientType TEXT,
+      data TEXT,
+      restorePolicy TEXT,
+      createTime INTEGER
+    )
+  `);
 });
 
 module.exports = db;
@@ -0,0 +1,319 @@
+/*
+ * @Description: HTTP 接口，与 socket.io 共用本地服务端口，供后端服务、curl 等无法使用 socket.io 的场景调用
+ * @Description: 任务与 socket.io 一样进入打印、渲染队列，默认等待任务结束后返回结果，?async=true 时立即返回任务 id
+ */
+const { v7: uuidv7 } = require("uuid");
+const log = require("./log");
+const {
+  verifyToken,
+  hasTokenScope,
+  checkTokenEvent,
+  filterTokenPrinters,
+  isTokenTaskAllowed,
+  setTokenPrinters,
+  getClientInfo,
+} = require("./utils");
+const { checkOrigin } = require("./origin");
+const { addPrintTask, addRenderTask, getTask } = require("./task");
+
+// 任务结束后保留结果的时间，单位分钟，期间可以通过 GET /jobs/:id 查询
+const HTTP_RESULT_EXPIRE = 10;
+
+// 请求体大小上限，单位字节
+const HTTP_BODY_LIMIT = 100 * 1024 * 1024;
+
+// 渲染结果的文件类型
+const RENDER_CONTENT_TYPE = {
+  pdf: "application/pdf",
+  png: "image/png",
+  jpeg: "image/jpeg",
+};
+
+/**
+ * @description: 带状态码的错误
+ * @param {number} status HTTP 状态码
+ * @param {string} msg 错误信息
+ * @return {Error}
+ */
+function httpError(status, msg) {
+  const error = new Error(msg);
+  error.status = status;
+  return error;
+}
+
+/**
+ * @description: 返回 JSON，Buffer 转换为 base64
+ * @param {http.ServerResponse} res
+ * @param {number} status HTTP 状态码
+ * @param {Object} body
+ * @return {void}
+ */
+function sendJson(res, status, body) {
+  const json = JSON.stringify(body, (key, value) =>
+    value && value.type === "Buffer" && Array.isArray(value.data)
+      ? Buffer.from(value.data).toString("base64")
+      : value,
+  );
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(json);
+}
+
+/**
+ * @description: 读取 JSON 请求体
+ * @param {http.IncomingMessage} req
+ * @return {Promise<Object>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= HTTP_BODY_LIMIT) chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (size > HTTP_BODY_LIMIT) {
+        return reject(httpError(413, "请求体过大"));
+      }
+      const text = Buffer.concat(chunks).toString("utf8");
+      try {
+        resolve(text ? JSON.parse(text) : {});
+      } catch (e) {
+        reject(httpError(400, "请求体不是合法的 JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * @description: 创建 HTTP 请求对应的 client，代替 socket 接收任务结果
+ * @description: 打印任务取 success、error 事件，渲染任务取 `${type}-success`、`${type}-error` 事件
+ * @param {string} type 任务类型 'news' | 'render-pdf' | 'render-jpeg'
+ * @param {Object} grant 提交任务的 token 权限
+ * @return {Object} HttpClient { id, type, tokenGrant, tasks, results, finished, emit, onFinish }
+ */
+function createHttpClient(type, grant) {
+  const successEvent = type === "news" ? "success" : `${type}-success`;
+  const errorEvent = type === "news" ? "error" : `${type}-error`;
+  const client = {
+    id: `http-${uuidv7()}`,
+    type,
+    // 与 socket 一致，用于判断任务归属
+    tokenGrant: grant,
+    // 任务入队后赋值，指定多台打印机时有多个任务
+    tasks: null,
+    results: [],
+    finished: false,
+    onFinish: null,
+    emit(event, payload) {
+      if (event !== successEvent && event !== errorEvent) return;
+      client.results.push({ success: event === successEvent, ...payload });
+      checkFinished(client);
+    },
+  };
+  HTTP_CLIENTS.set(client.id, client);
+  return client;
+}
+
+/**
+ * @description: 所有任务都有结果后通知等待中的请求，结果保留 HTTP_RESULT_EXPIRE 分钟
+ * @param {Object} client HttpClient
+ * @return {void}
+ */
+function checkFinished(client) {
+  if (
+    client.finished ||
+    !client.tasks ||
+    client.results.length < client.tasks.length
+  ) {
+    return;
+  }
+  client.finished = true;
+  client.onFinish && client.onFinish();
+  setTimeout(() => {
+    HTTP_CLIENTS.delete(client.id);
+  }, HTTP_RESULT_EXPIRE * 60 * 1000);
+}
+
+/**
+ * @description: 添加任务，async 或定时任务立即返回任务信息，否则等待任务结束
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} type 任务类型
+ * @param {URLSearchParams} query
+ * @param {Object} grant token 权限
+ * @return {Promise<void>}
+ */
+async function addHttpTask(req, res, type, query, grant) {
+  const data = await readBody(req);
+  const denied = checkTokenEvent(grant, type, data);
+  if (denied) throw httpError(403, denied);
+  setTokenPrinters(grant, type, data);
+  const client = createHttpClient(type, grant);
+  // 不记录查询参数，避免 ?token= 写入日志
+  const { pathname } = new URL(req.url, "http://localhost");
+  log(`HTTP ${client.id}: ${req.method} ${pathname}`);
+  const tasks =
+    type === "news"
+      ? [].concat(addPrintTask(type, data, client.id, "http"))
+      : [addRenderTask(type, data, client.id, "http")];
+  client.tasks = tasks.map((task) => task.taskId);
+  // 打印机分组不存在时不会生成任务，已通过 error 返回原因
+  if (!tasks.length) client.tasks = [null];
+  // 定时任务到点才执行，不阻塞请求
+  const scheduled = tasks.some((task) => task.status === "scheduled");
+  if (query.get("async") === "true" || scheduled) {
+    checkFinished(client);
+    return sendJson(res, 202, { tasks });
+  }
+  await new Promise((resolve) => {
+    client.onFinish = resolve;
+    checkFinished(client);
+  });
+  const success = client.results.every((result) => result.success);
+  if (type !== "news" && success) {
+    const format =
+      type === "render-pdf" ? "pdf" : data.captureFormat || "jpeg";
+    res.writeHead(200, {
+      "Content-Type": RENDER_CONTENT_TYPE[format] || "application/octet-stream",
+      "X-Task-Id": client.tasks[0],
+    });
+    return res.end(Buffer.from(client.results[0].buffer));
+  }
+  sendJson(res, success ? 200 : 500, {
+    success,
+    tasks: tasks.map((task) => getTask(task.taskId) || task),
+    results: client.results,
+  });
+}
+
+/**
+ * @description: 查询任务状态，与 socket.io 的 getTaskStatus 一致，不属于该 token 的任务视为不存在
+ * @description: 渲染任务结束后附带渲染结果
+ * @param {http.ServerResponse} res
+ * @param {string} taskId
+ * @param {Object} grant token 权限
+ * @return {void}
+ */
+function getHttpTask(res, taskId, grant) {
+  const task = getTask(taskId);
+  if (!task || !isTokenTaskAllowed(grant, task)) {
+    throw httpError(404, "任务不存在或已过期");
+  }
+  const client =
+    task.clientType === "http" ? HTTP_CLIENTS.get(task.socketId) : null;
+  const result =
+    client && client.type !== "news" ? client.results[0] || null : undefined;
+  sendJson(res, 200, { ...task, result });
+}
+
+/**
+ * @description: 接口路由 { "METHOD /path": handler(req, res, query, grant) }
+ */
+const ROUTES = {
+  "POST /print": (req, res, query, grant) =>
+    addHttpTask(req, res, "news", query, grant),
+  "POST /render/pdf": (req, res, query, grant) =>
+    addHttpTask(req, res, "render-pdf", query, grant),
+  "POST /render/jpeg": (req, res, query, grant) =>
+    addHttpTask(req, res, "render-jpeg", query, grant),
+  "GET /printers": async (req, res, query, grant) => {
+    if (!hasTokenScope(grant, "print")) {
+      throw httpError(403, "token 没有 print 权限");
+    }
+    sendJson(
+      res,
+      200,
+      filterTokenPrinters(
+        grant,
+        await MAIN_WINDOW.webContents.getPrintersAsync(),
+      ),
+    );
+  },
+  "GET /client-info": async (req, res, query, grant) => {
+    if (!hasTokenScope(grant, "info")) {
+      throw httpError(403, "token 没有 info 权限");
+    }
+    sendJson(res, 200, await getClientInfo());
+  },
+};
+
+/**
+ * @description: 允许跨域请求，来源已通过白名单校验
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @return {void}
+ */
+function setCorsHeaders(req, res) {
+  if (!req.headers.origin) return;
+  res.setHeader("Access-Control-Allow-Origin", req.headers.origin);
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader(
+    "Access-Control-Allow-Headers",
+    req.headers["access-control-request-headers"] ||
+      "Authorization, Content-Type",
+  );
+  res.setHeader("Access-Control-Expose-Headers", "X-Task-Id");
+}
+
+/**
+ * @description: 本地服务 HTTP 请求处理，socket.io 的请求由 socket.io 处理，不会进入这里
+ * @description: 来源不在白名单中时返回 403
+ * @description: token 通过 Authorization: Bearer <token> 或 ?token= 传入
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @return {Promise<void>}
+ */
+async function handleHttpRequest(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  const query = url.searchParams;
+  const pathname = url.pathname.replace(/\/+$/, "") || "/";
+  // 与 socket.io 一致，不在来源白名单中的网页不允许调用
+  if (!(await checkOrigin(req.headers.origin))) {
+    log(
+      `==> 拒绝来源：${req.headers.origin}，IP：${req.socket.remoteAddress}，HTTP ${req.method} ${pathname}`,
+    );
+    return sendJson(res, 403, { msg: "来源不在白名单中" });
+  }
+  setCorsHeaders(req, res);
+  if (req.method === "OPTIONS") {
+    res.writeHead(204);
+    return res.end();
+  }
+  try {
+    const token =
+      (req.headers.authorization || "").replace(/^Bearer\s+/i, "") ||
+      query.get("token");
+    const grant = verifyToken(token);
+    if (!grant) {
+      log(`==> HTTP Authentication error: ${req.method} ${pathname}`);
+      throw httpError(401, "Token 错误");
+    }
+    const jobMatch = /^\/jobs\/([^/]+)$/.exec(pathname);
+    if (req.method === "GET" && jobMatch) {
+      return getHttpTask(res, decodeURIComponent(jobMatch[1]), grant);
+    }
+    const route = ROUTES[`${req.method} ${pathname}`];
+    if (!route) {
+      const allowed = Object.keys(ROUTES).some((key) =>
+        key.endsWith(` ${pathname}`),
+      );
+      throw allowed
+        ? httpError(405, `不支持的请求方法：${req.method}`)
+        : httpError(404, `接口不存在：${pathname}`);
+    }
+    await route(req, res, query, grant);
+  } catch (error) {
+    if (!error.status) {
+      log(`HTTP ${req.method} ${pathname} error: ${error.message}`);
+    }
+    res.headersSent
+      ? res.end()
+      : sendJson(res, error.status || 500, { msg: error.message });
+  }
+}
+
+module.exports = {
+  handleHttpRequest,
+};
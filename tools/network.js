@@ -0,0 +1,126 @@
+/*
+ * @Description: 本地服务网络访问范围：监听地址与 IP 白名单
+ * @Description: IP 白名单在 TCP 连接建立时校验，早于 TLS、HTTP 与 socket.io 握手
+ */
+const net = require("net");
+const log = require("./log");
+const { store, address: _address } = require("./utils");
+
+// 本机回环地址，IP 白名单始终允许
+const LOOPBACK = ["127.0.0.1", "::1"];
+
+// 监听所有网卡的地址
+const ANY_ADDRESS = ["0.0.0.0", "::"];
+
+// 实际监听的地址，指定的地址不可用时回退为 127.0.0.1
+let listenHost = "";
+
+// IP 白名单，null 表示不限制
+let allowlist = null;
+
+/**
+ * @description: IPv4 映射的 IPv6 地址（::ffff:192.168.1.10）转换为 IPv4
+ * @param {string} ip
+ * @return {string}
+ */
+function normalizeIp(ip = "") {
+  return ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, "");
+}
+
+/**
+ * @description: 解析 IP 白名单，支持单个 IP 与 CIDR，如 192.168.1.20、192.168.1.0/24、fd00::/8
+ * @param {Array<string>} rules
+ * @return {net.BlockList|null} 无有效规则时返回 null
+ */
+function createAllowlist(rules = []) {
+  const list = new net.BlockList();
+  let count = 0;
+  rules.forEach((rule) => {
+    const [ip, prefix] = `${rule}`.trim().split("/");
+    const type = net.isIPv6(ip) ? "ipv6" : "ipv4";
+    try {
+      if (!net.isIP(ip)) throw new Error("IP 格式错误");
+      prefix === undefined
+        ? list.addAddress(ip, type)
+        : list.addSubnet(ip, Number(prefix), type);
+      count++;
+    } catch (error) {
+      log(`==> IP 白名单规则【${rule}】无效：${error.message}`);
+    }
+  });
+  return count ? list : null;
+}
+
+/**
+ * @description: IP 是否允许连接，未设置 IP 白名单时允许所有 IP
+ * @param {string} ip 远程地址
+ * @return {boolean}
+ */
+function isIpAllowed(ip) {
+  if (!allowlist) return true;
+  const address = normalizeIp(ip);
+  if (LOOPBACK.includes(address)) return true;
+  return allowlist.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+/**
+ * @description: 按 bindAddress 启动服务，并在 TCP 连接建立时校验 IP 白名单
+ * @description: 指定的地址不可用（如 DHCP 分配的 IP 已变化）时只监听本机，避免服务无法启动
+ * @param {http.Server|https.Server} server
+ * @param {number} port 端口
+ * @return {void}
+ */
+function listenLocalServer(server, port) {
+  const bindAddress = store.get("bindAddress") || "";
+  listenHost = bindAddress;
+  allowlist = createAllowlist(store.get("ipAllowlist"));
+  server.prependListener("connection", (socket) => {
+    if (isIpAllowed(socket.remoteAddress)) return;
+    log(`==> 拒绝 IP：${normalizeIp(socket.remoteAddress)}，不在 IP 白名单中`);
+    socket.destroy();
+  });
+  if (bindAddress && !LOOPBACK.includes(bindAddress)) {
+    server.once("error", (error) => {
+      if (error.code !== "EADDRNOTAVAIL") throw error;
+      log(`==> 监听地址 ${bindAddress} 不可用，仅监听本机 127.0.0.1`);
+      listenHost = "127.0.0.1";
+      server.listen(port, listenHost);
+    });
+  }
+  server.listen(port, bindAddress || undefined);
+}
+
+/**
+ * @description: 获取当前的网络访问范围，用于主窗口展示
+ * @return {Object} { scope, host, urls, ipAllowlist } scope 为 all | localhost | interface
+ */
+function getExposure() {
+  const all = !listenHost || ANY_ADDRESS.includes(listenHost);
+  const scope = all
+    ? "all"
+    : LOOPBACK.includes(listenHost)
+    ? "localhost"
+    : "interface";
+  const host = all ? _address.ip() || "127.0.0.1" : listenHost;
+  const hostname = net.isIPv6(host) ? `[${host}]` : host;
+  const protocol = store.get("serverProtocol");
+  const urls = [
+    `${protocol === "https" ? "https" : "http"}://${hostname}:${store.get(
+      "port",
+    ) || 17521}`,
+  ];
+  if (protocol === "both") {
+    urls.push(`https://${hostname}:${store.get("httpsPort") || 17522}`);
+  }
+  return {
+    scope,
+    host,
+    urls,
+    ipAllowlist: allowlist ? store.get("ipAllowlist") : [],
+  };
+}
+
+module.exports = {
+  listenLocalServer,
+  getExposure,
+};
@@ -0,0 +1,96 @@
+/*
+ * @Description: 来源（Origin）白名单，限制可以连接本地服务的网页
+ * @Description: 只有浏览器会携带 Origin，后端服务、curl 等没有 Origin 的请求不受限制
+ */
+const { dialog } = require("electron");
+const log = require("./log");
+const { store } = require("./utils");
+
+// 用户拒绝过的来源，重启前不再询问
+const deniedOrigins = new Set();
+
+// 等待用户确认的来源 { [origin]: Promise<boolean> }，同一来源只弹出一次
+const pendingOrigins = new Map();
+
+/**
+ * @description: 来源是否匹配规则，* 匹配任意字符（不含 /），如 https://*.example.com、http://localhost:*
+ * @param {string} origin 请求来源，如 https://pos.example.com
+ * @param {string} pattern 白名单规则
+ * @return {boolean}
+ */
+function matchOrigin(origin, pattern) {
+  const rule = `${pattern}`.trim().replace(/\/+$/, "");
+  if (rule === "*") return true;
+  const source = rule
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[^/]*");
+  return new RegExp(`^${source}$`, "i").test(origin);
+}
+
+/**
+ * @description: 来源是否在白名单中，白名单为空且未开启来源确认时允许所有来源
+ * @param {string} origin 请求来源
+ * @return {boolean}
+ */
+function isOriginAllowed(origin) {
+  if (!origin) return true;
+  const patterns = store.get("allowedOrigins") || [];
+  if (!patterns.length && !store.get("originApproval")) return true;
+  return patterns.some((pattern) => matchOrigin(origin, pattern));
+}
+
+/**
+ * @description: 弹窗询问是否允许来源连接，允许后加入白名单，拒绝后重启前不再询问
+ * @param {string} origin 请求来源
+ * @return {Promise<boolean>}
+ */
+async function askOrigin(origin) {
+  log(`==> 来源确认：${origin}`);
+  const { response } = await dialog.showMessageBox({
+    type: "question",
+    title: "连接确认",
+    message: `网页【${origin}】请求连接打印服务，是否允许？`,
+    detail: "允许后将加入来源白名单，可在设置窗口的「安全设置」中移除。",
+    buttons: ["允许", "拒绝"],
+    defaultId: 1,
+    cancelId: 1,
+  });
+  if (response === 0) {
+    store.set("allowedOrigins", [
+      ...(store.get("allowedOrigins") || []),
+      origin,
+    ]);
+    log(`==> 来源确认：已允许 ${origin}`);
+    return true;
+  }
+  deniedOrigins.add(origin);
+  return false;
+}
+
+/**
+ * @description: 校验来源，不在白名单中且开启了 originApproval 时询问用户
+ * @param {string} origin 请求来源
+ * @return {Promise<boolean>}
+ */
+function checkOrigin(origin) {
+  if (isOriginAllowed(origin)) return Promise.resolve(true);
+  if (!store.get("originApproval") || deniedOrigins.has(origin)) {
+    return Promise.resolve(false);
+  }
+  if (!pendingOrigins.has(origin)) {
+    pendingOrigins.set(
+      origin,
+      askOrigin(origin)
+        .catch(() => false)
+        .finally(() => pendingOrigins.delete(origin)),
+    );
+  }
+  return pendingOrigins.get(origin);
+}
+
+module.exports = {
+  matchOrigin,
+  isOriginAllowed,
+  checkOrigin,
+};
@@ -0,0 +1,186 @@
+/*
+ * @Description: 打印机监控，定时获取打印机列表与状态，变化时推送给所有 client
+ * @Description: printerAdded、printerRemoved、printerStatusChanged 推送到本地服务的所有连接与中转服务
+ */
+const { Notification } = require("electron");
+const log = require("./log");
+const {
+  store,
+  getCurrentPrintStatusByName,
+  hasTokenScope,
+  isTokenPrinterAllowed,
+  isCupsPrinterOffline,
+  WIN_OFFLINE_STATUS,
+} = require("./utils");
+const { getCupsPrinterInfo } = require("./cups");
+const { getBusyPrinters, setPrinterList } = require("./task");
+
+/**
+ * @description: 上一次获取的打印机 { [name]: PrinterState }，null 表示尚未获取
+ */
+let printers = null;
+
+// 监控是否已开启
+let started = false;
+
+/**
+ * @typedef {Object} PrinterState
+ * @property {string} name 打印机名称
+ * @property {string} displayName 显示名称
+ * @property {number} status 打印机状态，Windows 为 PRINTER_INFO_2.Status，macOS / Linux 为 printer-state
+ * @property {string} statusMsg 状态信息
+ * @property {boolean} offline 是否不可用（脱机、暂停、已停止、错误等）
+ */
+
+/**
+ * @description: 获取打印机状态，macOS / Linux 通过 CUPS 查询，失败时使用 getPrintersAsync 的 status
+ * @param {Electron.PrinterInfo} printer
+ * @return {Promise<PrinterState>}
+ */
+async function getPrinterState(printer) {
+  const state = {
+    name: printer.name,
+    displayName: printer.displayName,
+    status: printer.status,
+    statusMsg: "",
+    offline: false,
+  };
+  if (process.platform === "win32") {
+    state.offline = (printer.status & WIN_OFFLINE_STATUS) !== 0;
+    return state;
+  }
+  try {
+    const info = await getCupsPrinterInfo(printer.name);
+    state.status = info.Status;
+    state.statusMsg = info.StatusMsg;
+    state.offline = isCupsPrinterOffline(info.Status, info.Reasons);
+  } catch (e) {
+    state.offline = isCupsPrinterOffline(
+      printer.status,
+      printer.options?.["printer-state-reasons"],
+    );
+  }
+  return state;
+}
+
+/**
+ * @description: Windows 只在状态变化时获取状态信息，避免频繁调用外部程序
+ * @param {PrinterState} state
+ * @return {Promise<PrinterState>}
+ */
+async function fillStatusMsg(state) {
+  if (state.statusMsg) return state;
+  try {
+    const { StatusMsg } = await getCurrentPrintStatusByName(state.name);
+    state.statusMsg = StatusMsg;
+  } catch (e) {
+    state.statusMsg = "状态不可用";
+  }
+  return state;
+}
+
+/**
+ * @description: 推送打印机事件到本地服务的所有连接与中转服务，本地连接只推送给有 print 权限的 token，且只推送 token 允许使用的打印机
+ * @param {string} event printerAdded | printerRemoved | printerStatusChanged
+ * @param {Object} payload
+ * @return {void}
+ */
+function broadcast(event, payload) {
+  SOCKET_SERVER &&
+    SOCKET_SERVER.sockets.sockets.forEach((socket) => {
+      hasTokenScope(socket.tokenGrant, "print") &&
+        isTokenPrinterAllowed(socket.tokenGrant, payload.name) &&
+        socket.emit(event, payload);
+    });
+  SOCKET_CLIENT?.connected && SOCKET_CLIENT.emit(event, payload);
+}
+
+/**
+ * @description: 有任务依赖的打印机不可用时弹出通知
+ * @param {PrinterState} state
+ * @param {boolean} removed 是否被移除
+ * @return {void}
+ */
+function notifyOffline(state, removed) {
+  if (!getBusyPrinters().includes(state.name)) return;
+  const reason = removed ? "已被移除" : `不可用：${state.statusMsg}`;
+  log(`打印机监控：有任务等待的打印机【${state.name}】${reason}`);
+  if (!store.get("allowNotify")) return;
+  new Notification({
+    title: "打印机不可用",
+    body: `打印机【${state.displayName ||
+      state.name}】${reason}，队列中的任务暂时无法打印`,
+  }).show();
+}
+
+/**
+ * @description: 获取打印机列表与状态，和上一次对比后推送变化
+ * @return {Promise<void>}
+ */
+async function checkPrinters() {
+  const list = await MAIN_WINDOW.webContents.getPrintersAsync();
+  setPrinterList(list);
+  const states = await Promise.all(list.map(getPrinterState));
+  const current = {};
+  states.forEach((state) => (current[state.name] = state));
+  const previous = printers;
+  printers = current;
+  // 首次获取只记录，不推送
+  if (!previous) return;
+
+  for (const state of states) {
+    const old = previous[state.name];
+    if (!old) {
+      log(`打印机监控：新增打印机【${state.name}】`);
+      broadcast("printerAdded", await fillStatusMsg(state));
+      continue;
+    }
+    if (old.status === state.status && old.offline === state.offline) {
+      continue;
+    }
+    await fillStatusMsg(state);
+    log(
+      `打印机监控：打印机【${state.name}】状态变化：${old.status} -> ${state.status}，${state.statusMsg}`,
+    );
+    broadcast("printerStatusChanged", {
+      ...state,
+      previousStatus: old.status,
+      previousOffline: old.offline,
+    });
+    if (state.offline && !old.offline) notifyOffline(state, false);
+  }
+  Object.values(previous).forEach((old) => {
+    if (current[old.name]) return;
+    log(`打印机监控：打印机【${old.name}】已移除`);
+    broadcast("printerRemoved", old);
+    notifyOffline(old, true);
+  });
+}
+
+/**
+ * @description: 开启打印机监控，间隔读取设置 printerMonitorInterval（秒），为 0 时暂停监控
+ * @return {void}
+ */
+function startPrinterMonitor() {
+  if (started) return;
+  started = true;
+  const loop = async () => {
+    const interval = store.get("printerMonitorInterval", 10);
+    if (interval) {
+      try {
+        await checkPrinters();
+      } catch (e) {
+        log(`打印机监控失败：${e?.message || e}`);
+      }
+    } else {
+      // 暂停期间的变化不推送，重新开启时重新记录
+      printers = null;
+    }
+    setTimeout(loop, (interval || 10) * 1000);
+  };
+  loop();
+}
+
+module.exports = {
+  startPrinterMonitor,
+};
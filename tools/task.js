@@ -0,0 +1,1215 @@
+/*
+ * @Description: 打印/渲染任务状态管理
+ * @FilePath: \electron-hiprint\tools\task.js
+ */
+"use strict";
+
+const { EventEmitter } = require("events");
+const { dialog } = require("electron");
+const Store = require("electron-store");
+const dayjs = require("dayjs");
+const TaskRunner = require("concurrent-tasks");
+const { v7: uuidv7 } = require("uuid");
+const log = require("./log");
+const db = require("./database");
+const { whenLoaded } = require("../src/helper");
+
+const store = new Store();
+
+// 任务结束后在内存中保留的时间，单位分钟，过期后无法再查询
+const TASK_EXPIRE = 30;
+
+// 重试等待时间上限，单位秒
+const RETRY_MAX_DELAY = 600;
+
+// setTimeout 最大延时，超过后分段等待
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+// 支持幂等键去重的任务类型，均会实际打印
+const IDEMPOTENT_TYPES = ["news", "printByFragments", "render-print"];
+
+// 事件名 -> 渲染窗口 ipc 通道
+const RENDER_CHANNEL = {
+  "render-print": "print",
+  "render-jpeg": "png",
+  "render-pdf": "pdf",
+  "render-zpl-preview": "png",
+};
+
+/**
+ * @typedef {Object} TaskInfo 任务状态信息
+ * @property {string} taskId 任务 id
+ * @property {string} type 任务类型 'news' | 'printByFragments' | 'render-print' | 'render-jpeg' | 'render-pdf'
+ * @property {string} runner 任务所在队列 'print' | 'render'
+ * @property {string} status 任务状态 'scheduled' | 'queued' | 'printing' | 'retrying' | 'succeeded' | 'failed' | 'cancelled'
+ * @property {string} templateId 模版 id
+ * @property {string} replyId 中转回复 id
+ * @property {string} printer 请求指定的打印机
+ * @property {number} priority 优先级，数值越大越先执行，默认 0
+ * @property {number|null} position 在所属队列中的位置，从 1 开始，非排队状态为 null
+ * @property {number} attempt 当前是第几次执行，从 1 开始
+ * @property {string|null} idempotencyKey 幂等键，取 idempotencyKey 或 replyId
+ * @property {number|null} scheduledAt 定时任务的执行时间戳
+ * @property {JobInfo|null} job 打印机上的作业信息，仅 IPP 等可以查询作业状态的打印方式有值
+ * @property {string} socketId socket id
+ * @property {string} clientType socket 客户端类型  'local' | 'transit' | 'http'
+ * @property {string|null} tokenName 提交任务的 token 名称，共享 token 与中转服务提交的任务为 null
+ * @property {string} msg 失败原因
+ * @property {number} createTime 入队时间戳
+ * @property {number} startTime 开始执行时间戳
+ * @property {number} endTime 结束时间戳
+ */
+
+/**
+ * @typedef {Object} JobInfo 打印作业信息
+ * @property {string|number} id 打印机返回的作业 id
+ * @property {string} state 作业状态，如 'pending' | 'processing' | 'processing-stopped' | 'completed' | 'canceled' | 'aborted'
+ * @property {string[]} reasons 作业状态原因
+ * @property {string} message 作业状态说明
+ */
+
+/**
+ * @description: 任务集合 { [taskId: string]: TaskInfo }
+ */
+const TASKS = {};
+
+/**
+ * @description: 等待执行的任务，按优先级从高到低排列，同优先级先进先出
+ * { [runner]: Array<{ taskId, printerKey, priority, data, execute }> }
+ */
+const QUEUES = { print: [], render: [] };
+
+/**
+ * @description: 队列是否暂停派发
+ */
+const PAUSED = { print: false, render: false };
+
+/**
+ * @description: 暂停期间轮到执行的 runner 空位，恢复时继续派发 { [runner]: Array<{ done, printerKey }> }
+ */
+const PARKED = { print: [], render: [] };
+
+/**
+ * @description: 执行中的任务，失败重试时重新入队 { [taskId]: { taskId, printerKey, priority, data, execute } }
+ */
+const RUNNING = {};
+
+/**
+ * @description: 等待重试的任务 { [taskId]: { item, timer } }
+ */
+const RETRYING = {};
+
+/**
+ * @description: 等待定时执行的任务 { [taskId]: { item, timer } }
+ */
+const SCHEDULED = {};
+
+/**
+ * @description: 幂等键记录，启动时从数据库加载 { [idempotencyKey]: { taskId, type, status, msg, createTime } }
+ */
+const IDEMPOTENCY_KEYS = {};
+
+/**
+ * @description: 最近一次获取的打印机列表，入队时用于确定系统默认打印机
+ */
+let PRINTER_LIST = [];
+
+/**
+ * @description: 队列事件，queueChange 在队列数量或暂停状态变化时触发
+ */
+const taskEvents = new EventEmitter();
+
+/**
+ * @description: 更新打印机列表，由打印机监控与打印窗口获取打印机列表后调用
+ * @param {Electron.PrinterInfo[]} printers
+ * @return {void}
+ */
+function setPrinterList(printers) {
+  PRINTER_LIST = printers || [];
+}
+
+/**
+ * @description: 获取任务的目标打印机，未指定时使用默认打印机
+ * @description: 使用系统默认打印机时取其名称，与直接指定该打印机的任务共用队列；尚未获取打印机列表时为空字符串
+ * @param {Object} data 打印数据
+ * @return {string}
+ */
+function getPrinterKey(data) {
+  // 延迟引入，避免循环依赖
+  const { resolvePrinterAlias } = require("./utils");
+  const printer = resolvePrinterAlias(
+    data.printer || store.get("defaultPrinter") || "",
+    PRINTER_LIST,
+  );
+  return printer || PRINTER_LIST.find((item) => item.isDefault)?.name || "";
+}
+
+/**
+ * @description: 获取任务所在的打印队列，目标打印机不可用时按故障转移顺序改用备用打印机的队列
+ * @param {Object} data 打印数据
+ * @return {string}
+ */
+function getQueuePrinter(data) {
+  // 延迟引入，避免循环依赖
+  const { getFailoverPrinter } = require("./utils");
+  return getFailoverPrinter(
+    getPrinterKey(data),
+    PRINTER_LIST,
+    data.tokenPrinters,
+  );
+}
+
+/**
+ * @description: 获取执行中的任务所在打印队列的打印机
+ * @param {string} taskId
+ * @return {string|undefined}
+ */
+function getTaskPrinter(taskId) {
+  return RUNNING[taskId]?.printerKey;
+}
+
+/**
+ * @description: 获取打印机对应的打印队列，不存在时创建
+ * @description: 并发数读取设置 printerConcurrency[打印机名称]，默认为 1 即同一打印机串行打印
+ * @param {string} printerKey 打印机名称
+ * @return {TaskRunner}
+ */
+function getPrintRunner(printerKey) {
+  if (!PRINT_RUNNERS[printerKey]) {
+    const concurrency = store.get("printerConcurrency", {})[printerKey] || 1;
+    PRINT_RUNNERS[printerKey] = new TaskRunner({ concurrency });
+  }
+  return PRINT_RUNNERS[printerKey];
+}
+
+/**
+ * @description: 是否有打印任务正在执行
+ * @return {boolean}
+ */
+function isPrinting() {
+  return Object.values(PRINT_RUNNERS).some((runner) => runner.isBusy());
+}
+
+/**
+ * @description: 获取有打印任务依赖的打印机（排队、执行中、等待重试、定时）
+ * @return {string[]} 打印机名称，不含系统默认打印机（空字符串）
+ */
+function getBusyPrinters() {
+  const printers = [
+    ...QUEUES.print,
+    ...Object.values(RUNNING),
+    ...Object.values(RETRYING).map(({ item }) => item),
+  ].map((item) => item.printerKey);
+  Object.values(SCHEDULED).forEach(({ item }) => {
+    TASKS[item.taskId]?.runner === "print" &&
+      printers.push(getPrinterKey(item.data));
+  });
+  return [...new Set(printers)].filter(Boolean);
+}
+
+/**
+ * @description: 获取任务所属的 socket，HTTP 接口的请求返回对应的 HttpClient
+ * @param {TaskInfo} task
+ * @return {io.Socket|null}
+ */
+function getTaskSocket(task) {
+  if (task.clientType === "local") {
+    return SOCKET_SERVER?.sockets.sockets.get(task.socketId) || null;
+  }
+  if (task.clientType === "http") {
+    return HTTP_CLIENTS.get(task.socketId) || null;
+  }
+  return SOCKET_CLIENT;
+}
+
+/**
+ * @description: 向任务所属 socket 推送任务状态
+ * @param {TaskInfo} task
+ * @return {void}
+ */
+function emitTaskStatus(task) {
+  const socket = getTaskSocket(task);
+  socket && socket.emit("taskStatus", { ...task });
+}
+
+/**
+ * @description: 获取定时任务的执行时间，delayMs 会换算为 printAt 写回 data，恢复任务时不会重新计时
+ * @param {Object} data 任务数据，printAt 支持时间戳或日期字符串
+ * @return {number|null} 执行时间戳，未定时返回 null
+ */
+function getScheduledTime(data) {
+  if (data.delayMs) {
+    data.printAt = Date.now() + Number(data.delayMs);
+    delete data.delayMs;
+  }
+  if (!data.printAt) return null;
+  const printAt = dayjs(data.printAt);
+  if (!printAt.isValid()) {
+    log(`模板【${data.templateId}】 printAt 无效：${data.printAt}，立即执行`);
+    return null;
+  }
+  return printAt.valueOf();
+}
+
+/**
+ * @description: 创建任务，data 上会写入 socketId、taskId、clientType、tokenName
+ * @param {string} runner 'print' | 'render'
+ * @param {string} type 任务类型
+ * @param {Object} data 打印数据
+ * @param {string} socketId
+ * @param {string} clientType 'local' | 'transit'
+ * @param {string} taskId 恢复任务时沿用原任务 id
+ * @return {TaskInfo}
+ */
+function createTask(runner, type, data, socketId, clientType, taskId) {
+  // 恢复的任务沿用持久化的 tokenName，重新连接、重启后提交任务的 token 仍可查询、取消
+  if (!taskId) {
+    const grant = getTaskSocket({ socketId, clientType })?.tokenGrant;
+    data.tokenName = grant && !grant.admin ? grant.name : null;
+  }
+  taskId = taskId || uuidv7();
+  data.socketId = socketId;
+  data.taskId = taskId;
+  data.clientType = clientType;
+  const scheduledAt = getScheduledTime(data);
+  const task = (TASKS[taskId] = {
+    taskId,
+    type,
+    runner,
+    status: scheduledAt > Date.now() ? "scheduled" : "queued",
+    templateId: data.templateId,
+    replyId: data.replyId,
+    printer: data.printer,
+    priority: Number(data.priority) || 0,
+    position: null,
+    attempt: 1,
+    idempotencyKey: getIdempotencyKey(type, data),
+    scheduledAt,
+    job: null,
+    socketId,
+    clientType,
+    tokenName: data.tokenName ?? null,
+    msg: "",
+    createTime: Date.now(),
+    startTime: null,
+    endTime: null,
+  });
+  emitTaskStatus(task);
+  return task;
+}
+
+/**
+ * @description: 更新任务状态，任务结束后在 TASK_EXPIRE 分钟后移除
+ * @param {string} taskId
+ * @param {string} status 'queued' | 'printing' | 'retrying' | 'succeeded' | 'failed' | 'cancelled'
+ * @param {string} msg 失败原因
+ * @return {void}
+ */
+function updateTaskStatus(taskId, status, msg = "") {
+  const task = TASKS[taskId];
+  if (!task) return;
+  task.status = status;
+  task.position = null;
+  if (status !== "printing") {
+    delete RUNNING[taskId];
+  }
+  if (status === "printing") {
+    task.startTime = Date.now();
+  } else if (["scheduled", "queued", "retrying"].includes(status)) {
+    task.msg = msg;
+  } else {
+    task.msg = msg;
+    task.endTime = Date.now();
+    setTimeout(() => {
+      delete TASKS[taskId];
+    }, TASK_EXPIRE * 60 * 1000);
+    removePersistedTask(taskId);
+    saveIdempotencyResult(task.idempotencyKey, status, msg);
+  }
+  emitTaskStatus(task);
+}
+
+/**
+ * @description: 更新任务在打印机上的作业信息，并推送 taskStatus
+ * @param {string} taskId
+ * @param {JobInfo} job 作业信息，与已有信息合并
+ * @return {void}
+ */
+function updateTaskJob(taskId, job) {
+  const task = TASKS[taskId];
+  if (!task) return;
+  task.job = { ...task.job, ...job };
+  emitTaskStatus(task);
+}
+
+/**
+ * @description: 序列化任务数据，Buffer 保存为 base64，避免 JSON 序列化成数字数组
+ * @param {Object} data 任务数据
+ * @return {string}
+ */
+function serializeTaskData(data) {
+  return JSON.stringify(data, function (key, value) {
+    // value 已经过 Buffer.toJSON 转换，需要从 this[key] 取原值
+    const raw = this[key];
+    if (Buffer.isBuffer(raw) || raw instanceof Uint8Array) {
+      return { type: "Buffer", base64: Buffer.from(raw).toString("base64") };
+    }
+    return value;
+  });
+}
+
+/**
+ * @description: 反序列化任务数据，还原其中的 Buffer
+ * @param {string} text serializeTaskData 的结果
+ * @return {Object}
+ */
+function parseTaskData(text) {
+  return JSON.parse(text, (key, value) => {
+    if (!value || value.type !== "Buffer") return value;
+    if (typeof value.base64 === "string") {
+      return Buffer.from(value.base64, "base64");
+    }
+    // 兼容旧版本保存的数字数组
+    return Array.isArray(value.data) ? Buffer.from(value.data) : value;
+  });
+}
+
+/**
+ * @description: 持久化任务，任务结束前意外退出或重启时用于恢复
+ * @param {TaskInfo} task
+ * @param {Object} data 任务数据
+ * @return {void}
+ */
+function persistTask(task, data) {
+  db.run(
+    `INSERT OR REPLACE INTO task_queue (taskId, runner, type, socketId, clientType, data, restorePolicy, createTime) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      task.taskId,
+      task.runner,
+      task.type,
+      task.socketId,
+      task.clientType,
+      serializeTaskData(data),
+      data.restorePolicy,
+      task.createTime,
+    ],
+    (err) => {
+      if (err) console.error("Failed to persist task", err);
+    },
+  );
+}
+
+/**
+ * @description: 移除持久化的任务
+ * @param {string} taskId
+ * @return {void}
+ */
+function removePersistedTask(taskId) {
+  db.run(`DELETE FROM task_queue WHERE taskId = ?`, [taskId], (err) => {
+    if (err) console.error("Failed to remove persisted task", err);
+  });
+}
+
+/**
+ * @description: 获取队列状态
+ * @return {Object} { [runner]: { paused, queued } }
+ */
+function getQueueState() {
+  return Object.keys(QUEUES).reduce((state, runner) => {
+    state[runner] = {
+      paused: PAUSED[runner],
+      queued: QUEUES[runner].length,
+    };
+    return state;
+  }, {});
+}
+
+/**
+ * @description: 刷新排队任务的位置，位置变化时向任务所属 socket 推送 taskPosition
+ * @description: 打印任务按打印机分别计算位置
+ * @return {void}
+ */
+function updateQueuePositions() {
+  Object.values(QUEUES).forEach((queue) => {
+    const totals = {};
+    queue.forEach((item) => {
+      totals[item.printerKey] = (totals[item.printerKey] || 0) + 1;
+    });
+    const positions = {};
+    queue.forEach((item) => {
+      const task = TASKS[item.taskId];
+      positions[item.printerKey] = (positions[item.printerKey] || 0) + 1;
+      if (!task || task.position === positions[item.printerKey]) return;
+      task.position = positions[item.printerKey];
+      const socket = getTaskSocket(task);
+      socket &&
+        socket.emit("taskPosition", {
+          taskId: task.taskId,
+          templateId: task.templateId,
+          replyId: task.replyId,
+          printer: item.printerKey,
+          priority: task.priority,
+          position: task.position,
+          total: totals[item.printerKey],
+        });
+    });
+  });
+}
+
+/**
+ * @description: 通知队列状态变化
+ * @return {void}
+ */
+function emitQueueChange() {
+  updateQueuePositions();
+  taskEvents.emit("queueChange", getQueueState());
+}
+
+/**
+ * @description: runner 空位轮到执行时，从队列中取出下一个任务派发
+ * @param {string} runner 'print' | 'render'
+ * @param {Function} done runner 任务完成回调
+ * @param {string} printerKey 打印队列对应的打印机，渲染队列为 undefined
+ * @return {void}
+ */
+function dispatch(runner, done, printerKey) {
+  if (PAUSED[runner]) {
+    PARKED[runner].push({ done, printerKey });
+    return;
+  }
+  const queue = QUEUES[runner];
+  const index = queue.findIndex((item) => item.printerKey === printerKey);
+  if (index === -1) {
+    // 任务已被取消，直接释放空位
+    done();
+    return;
+  }
+  const [item] = queue.splice(index, 1);
+  // 排队期间打印机变为不可用时，转移到备用打印机的队列
+  const printer = runner === "print" ? getQueuePrinter(item.data) : printerKey;
+  if (printer !== printerKey) {
+    log(
+      `任务 ${item.taskId} 的打印机 ${printerKey} 不可用，故障转移至 ${printer} 的队列`,
+    );
+    item.printerKey = printer;
+    addQueueItem(runner, item);
+    done();
+    emitQueueChange();
+    return;
+  }
+  RUNNING[item.taskId] = item;
+  updateTaskStatus(item.taskId, "printing");
+  item.execute(done);
+  emitQueueChange();
+}
+
+/**
+ * @description: 任务入队，每个任务对应 runner 中的一个空位
+ * @param {TaskInfo} task
+ * @param {Object} data 任务数据
+ * @param {Function} execute 派发任务，参数为 runner 任务完成回调
+ * @return {void}
+ */
+function enqueue(task, data, execute) {
+  addQueueItem(task.runner, {
+    taskId: task.taskId,
+    printerKey: task.runner === "print" ? getQueuePrinter(data) : undefined,
+    priority: task.priority,
+    data,
+    execute,
+  });
+  emitQueueChange();
+}
+
+/**
+ * @description: 按优先级插入队列，并在对应的 runner 中占一个空位
+ * @param {string} runner 'print' | 'render'
+ * @param {Object} item 队列项 { taskId, printerKey, priority, data, execute }
+ * @return {void}
+ */
+function addQueueItem(runner, item) {
+  const queue = QUEUES[runner];
+  // 插到第一个优先级更低的任务之前
+  const index = queue.findIndex((queued) => queued.priority < item.priority);
+  if (index === -1) {
+    queue.push(item);
+  } else {
+    queue.splice(index, 0, item);
+  }
+  const { printerKey } = item;
+  const taskRunner =
+    runner === "print" ? getPrintRunner(printerKey) : RENDER_RUNNER;
+  taskRunner.add((done) => dispatch(runner, done, printerKey));
+}
+
+/**
+ * @description: 派发打印任务，每个执行中的任务独占一个打印窗口，不同打印机可以并行打印
+ * @param {TaskInfo} task
+ * @param {Object} data 打印数据
+ * @param {Function} done runner 任务完成回调
+ * @return {Promise<void>}
+ */
+async function executePrintTask(task, data, done) {
+  // 延迟引入，避免循环依赖
+  const { acquirePrintWindow, releasePrintWindow } = require("../src/print");
+  try {
+    const printWindow = await acquirePrintWindow();
+    PRINT_RUNNER_DONE[task.taskId] = () => {
+      releasePrintWindow(printWindow);
+      done();
+    };
+    printWindow.webContents.send("print-new", data);
+    MAIN_WINDOW.webContents.send("printTask", true);
+  } catch (error) {
+    log(`任务 ${task.taskId} 创建打印窗口失败：${error.message}`);
+    updateTaskStatus(task.taskId, "failed", "创建打印窗口失败");
+    done();
+  }
+}
+
+/**
+ * @description: 获取任务的幂等键，优先使用 client 传入的 idempotencyKey，其次为 replyId
+ * @param {string} type 任务类型
+ * @param {Object} data 任务数据
+ * @return {string|null}
+ */
+function getIdempotencyKey(type, data) {
+  if (!IDEMPOTENT_TYPES.includes(type)) return null;
+  return data.idempotencyKey || data.replyId || null;
+}
+
+/**
+ * @description: 幂等时间窗口，单位毫秒，为 0 时不去重
+ * @return {number}
+ */
+function getIdempotencyWindow() {
+  return store.get("idempotencyWindow", 10) * 60 * 1000;
+}
+
+/**
+ * @description: 从数据库加载时间窗口内的幂等键，并清理过期与失败、取消的记录
+ * @return {void}
+ */
+function loadIdempotencyKeys() {
+  const since = Date.now() - getIdempotencyWindow();
+  // 等待建表等之前的语句执行完成
+  db.serialize(() => {
+    db.run(
+      `DELETE FROM idempotency_keys WHERE createTime < ? OR status IN ('failed', 'cancelled')`,
+      [since],
+    );
+    db.all(`SELECT * FROM idempotency_keys`, (err, rows) => {
+      if (err) {
+        console.error("Failed to load idempotency keys", err);
+        return;
+      }
+      rows.forEach(({ idempotencyKey, ...record }) => {
+        IDEMPOTENCY_KEYS[idempotencyKey] = record;
+      });
+    });
+  });
+}
+
+/**
+ * @description: 记录新任务的幂等键
+ * @param {TaskInfo} task
+ * @return {void}
+ */
+function saveIdempotencyKey(task) {
+  const record = {
+    taskId: task.taskId,
+    type: task.type,
+    status: task.status,
+    msg: task.msg,
+    createTime: task.createTime,
+  };
+  IDEMPOTENCY_KEYS[task.idempotencyKey] = record;
+  db.run(
+    `INSERT OR REPLACE INTO idempotency_keys (idempotencyKey, taskId, type, status, msg, createTime) VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      task.idempotencyKey,
+      record.taskId,
+      record.type,
+      record.status,
+      record.msg,
+      record.createTime,
+    ],
+    (err) => {
+      if (err) console.error("Failed to save idempotency key", err);
+    },
+  );
+}
+
+/**
+ * @description: 任务结束后记录结果，重复的任务直接返回成功结果
+ * @description: 失败、取消的任务移除幂等键，client 重新提交时作为新任务打印
+ * @param {string|null} idempotencyKey
+ * @param {string} status 'succeeded' | 'failed' | 'cancelled'
+ * @param {string} msg 失败原因
+ * @return {void}
+ */
+function saveIdempotencyResult(idempotencyKey, status, msg) {
+  const record = idempotencyKey && IDEMPOTENCY_KEYS[idempotencyKey];
+  if (!record) return;
+  if (status !== "succeeded") {
+    delete IDEMPOTENCY_KEYS[idempotencyKey];
+    db.run(
+      `DELETE FROM idempotency_keys WHERE idempotencyKey = ?`,
+      [idempotencyKey],
+      (err) => {
+        if (err) console.error("Failed to remove idempotency key", err);
+      },
+    );
+    return;
+  }
+  record.status = status;
+  record.msg = msg;
+  db.run(
+    `UPDATE idempotency_keys SET status = ?, msg = ? WHERE idempotencyKey = ?`,
+    [status, msg, idempotencyKey],
+    (err) => {
+      if (err) console.error("Failed to save idempotency result", err);
+    },
+  );
+}
+
+/**
+ * @description: 处理时间窗口内重复提交的任务，不再重新执行
+ * @description: 原任务未结束时，后续事件改为推送给本次提交的连接；已成功时直接推送成功结果
+ * @param {string} type 任务类型
+ * @param {Object} data 任务数据
+ * @param {string} socketId
+ * @param {string} clientType 'local' | 'transit'
+ * @return {TaskInfo|null} 原任务信息，不是重复任务时返回 null
+ */
+function replyDuplicateTask(type, data, socketId, clientType) {
+  const idempotencyKey = getIdempotencyKey(type, data);
+  const record = idempotencyKey && IDEMPOTENCY_KEYS[idempotencyKey];
+  if (
+    !record ||
+    record.type !== type ||
+    Date.now() - record.createTime > getIdempotencyWindow()
+  ) {
+    return null;
+  }
+  const task = TASKS[record.taskId];
+  const finished = record.status === "succeeded";
+  // 未结束且不在内存中的任务（如重启后尚未恢复）视为新任务
+  if (!finished && !task) return null;
+  log(
+    `${data.replyId ? "中转服务" : "插件端"} ${socketId} 模板【${
+      data.templateId
+    }】 重复提交的任务【${idempotencyKey}】，返回任务 ${record.taskId} 的结果`,
+  );
+  if (!finished) {
+    task.socketId = socketId;
+    task.clientType = clientType;
+    task.replyId = data.replyId;
+    const item =
+      QUEUES[task.runner].find((item) => item.taskId === task.taskId) ||
+      RUNNING[task.taskId] ||
+      RETRYING[task.taskId]?.item ||
+      SCHEDULED[task.taskId]?.item;
+    if (item) {
+      Object.assign(item.data, { socketId, clientType, replyId: data.replyId });
+    }
+    emitTaskStatus(task);
+    return { ...task, duplicate: true };
+  }
+  const result = {
+    msg: "打印成功",
+    templateId: data.templateId,
+    replyId: data.replyId,
+    printer: data.printer,
+  };
+  const socket = getTaskSocket({ socketId, clientType });
+  if (socket && type === "render-print") {
+    socket.emit("render-print-success", result);
+  } else if (socket) {
+    socket.emit("successs", result);
+    socket.emit("success", result);
+  }
+  return {
+    ...(task || { taskId: record.taskId, type, createTime: record.createTime }),
+    status: record.status,
+    msg: record.msg,
+    templateId: data.templateId,
+    replyId: data.replyId,
+    duplicate: true,
+  };
+}
+
+/**
+ * @description: 创建任务、持久化并入队
+ * @param {string} runner 'print' | 'render'
+ * @param {string} type 任务类型
+ * @param {Object} data 任务数据
+ * @param {string} socketId
+ * @param {string} clientType 'local' | 'transit'
+ * @param {string} taskId 恢复任务时沿用原任务 id
+ * @return {TaskInfo}
+ */
+function addTask(runner, type, data, socketId, clientType, taskId) {
+  const duplicate =
+    !taskId && replyDuplicateTask(type, data, socketId, clientType);
+  if (duplicate) return duplicate;
+  const task = createTask(runner, type, data, socketId, clientType, taskId);
+  if (task.idempotencyKey && !taskId) {
+    saveIdempotencyKey(task);
+  }
+  persistTask(task, data);
+  const execute = (done) => {
+    if (runner === "print") {
+      executePrintTask(task, data, done);
+    } else {
+      RENDER_RUNNER_DONE[task.taskId] = done;
+      RENDER_WINDOW.webContents.send(RENDER_CHANNEL[type], data);
+    }
+  };
+  if (task.status === "scheduled") {
+    scheduleTask(task, data, execute);
+  } else {
+    enqueue(task, data, execute);
+  }
+  return { ...task };
+}
+
+/**
+ * @description: 定时任务等待到执行时间后入队
+ * @param {TaskInfo} task
+ * @param {Object} data 任务数据
+ * @param {Function} execute 派发任务
+ * @return {void}
+ */
+function scheduleTask(task, data, execute) {
+  const wait = () => {
+    const delay = task.scheduledAt - Date.now();
+    if (delay > 0) {
+      SCHEDULED[task.taskId].timer = setTimeout(
+        wait,
+        Math.min(delay, MAX_TIMEOUT),
+      );
+      return;
+    }
+    delete SCHEDULED[task.taskId];
+    updateTaskStatus(task.taskId, "queued");
+    enqueue(task, data, execute);
+  };
+  SCHEDULED[task.taskId] = { item: { taskId: task.taskId, data, execute } };
+  log(
+    `${task.replyId ? "中转服务" : "插件端"} ${task.socketId} 模板【${
+      task.templateId
+    }】 任务 ${task.taskId} 将于 ${dayjs(task.scheduledAt).format(
+      "YYYY-MM-DD HH:mm:ss",
+    )} 执行`,
+  );
+  wait();
+}
+
+/**
+ * @description: 获取需要同时打印的打印机列表，取 printers 或 printerGroup 对应的打印机分组
+ * @param {Object} data 打印数据
+ * @return {string[]|null} 未指定时返回 null
+ */
+function getFanOutPrinters(data) {
+  if (Array.isArray(data.printers) && data.printers.length) {
+    return [...new Set(data.printers)];
+  }
+  if (data.printerGroup) {
+    return store.get("printerGroups", {})[data.printerGroup] || [];
+  }
+  return null;
+}
+
+/**
+ * @description: 获取打印数据指定的打印机，printers、printerGroup 展开为多台，未指定时为默认打印机
+ * @param {Object} data 打印数据
+ * @return {Array<string>} 打印机名称或别名，空字符串表示系统默认打印机
+ */
+function getRequestedPrinters(data) {
+  return (
+    getFanOutPrinters(data) || [
+      data.printer || store.get("defaultPrinter") || "",
+    ]
+  );
+}
+
+/**
+ * @description: 添加打印任务到目标打印机的打印队列
+ * @description: 指定了 printers 或 printerGroup 时，每台打印机各生成一个任务
+ * @param {string} type 'news' | 'printByFragments'
+ * @param {Object} data 打印数据
+ * @param {string} socketId
+ * @param {string} clientType 'local' | 'transit'
+ * @return {TaskInfo|TaskInfo[]}
+ */
+function addPrintTask(type, data, socketId, clientType) {
+  const printers = getFanOutPrinters(data);
+  if (!printers) {
+    return addTask("print", type, data, socketId, clientType);
+  }
+  if (!printers.length) {
+    const msg = `打印机分组【${data.printerGroup}】不存在或为空`;
+    log(
+      `${data.replyId ? "中转服务" : "插件端"} ${socketId} 模板【${
+        data.templateId
+      }】 打印失败，${msg}`,
+    );
+    const result = { msg, templateId: data.templateId, replyId: data.replyId };
+    const socket = getTaskSocket({ socketId, clientType });
+    socket && socket.emit("error", result);
+    return [];
+  }
+  const idempotencyKey = getIdempotencyKey(type, data);
+  delete data.printers;
+  delete data.printerGroup;
+  return printers.map((printer) =>
+    addTask(
+      "print",
+      type,
+      {
+        ...data,
+        printer,
+        // 每台打印机分别去重
+        idempotencyKey: idempotencyKey && `${idempotencyKey}#${printer}`,
+      },
+      socketId,
+      clientType,
+    ),
+  );
+}
+
+/**
+ * @description: 添加渲染任务到 RENDER_RUNNER
+ * @param {string} type 'render-print' | 'render-jpeg' | 'render-pdf'
+ * @param {Object} data 渲染数据
+ * @param {string} socketId
+ * @param {string} clientType 'local' | 'transit'
+ * @return {TaskInfo}
+ */
+function addRenderTask(type, data, socketId, clientType) {
+  return addTask("render", type, data, socketId, clientType);
+}
+
+/**
+ * @description: 记录已取消的打印任务到打印日志
+ * @param {TaskInfo} task
+ * @param {Object} data 打印数据
+ * @return {void}
+ */
+function logCancelledTask(task, data) {
+  // 渲染任务入队时还没有 html，无法重打
+  const rePrintAble = task.runner === "print" ? data.rePrintAble ?? 1 : 0;
+  db.run(
+    `INSERT INTO print_logs (socketId, clientType, printer, templateId, data, pageNum, status, rePrintAble, errorMessage, taskId, attempt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      task.socketId,
+      task.clientType,
+      data.printer,
+      data.templateId,
+      JSON.stringify(data),
+      data.pageNum,
+      "cancelled",
+      rePrintAble,
+      task.msg,
+      task.taskId,
+      task.attempt,
+    ],
+    (err) => {
+      if (err) console.error("Failed to log cancelled task", err);
+    },
+  );
+}
+
+/**
+ * @description: 失败原因是否可以重试，未配置 retryReasons 时所有失败都重试
+ * @param {string} reason 失败原因
+ * @return {boolean}
+ */
+function isRetryable(reason) {
+  const reasons = store.get("retryReasons", []);
+  const text = `${reason}`.toLowerCase();
+  return (
+    !reasons.length ||
+    reasons.some((keyword) => text.includes(`${keyword}`.toLowerCase()))
+  );
+}
+
+/**
+ * @description: 打印失败后按重试策略安排重试，等待时间按 retryBackoff 倍数递增
+ * @description: 打印队列的任务与 render-print 任务可以重试，重试时重新排入原队列
+ * @param {string} taskId
+ * @param {string} reason 失败原因
+ * @return {Object|null} { attempt, maxAttempts, delay } 不重试时返回 null
+ */
+function retryTask(taskId, reason) {
+  const task = TASKS[taskId];
+  const item = RUNNING[taskId];
+  if (!task || !item) return null;
+  if (task.runner !== "print" && task.type !== "render-print") return null;
+  const maxAttempts = store.get("retryMaxAttempts", 1);
+  if (task.attempt >= maxAttempts || !isRetryable(reason)) return null;
+  const delay = Math.min(
+    store.get("retryDelay", 5) *
+      store.get("retryBackoff", 2) ** (task.attempt - 1),
+    RETRY_MAX_DELAY,
+  );
+  updateTaskStatus(taskId, "retrying", reason);
+  log(
+    `${task.replyId ? "中转服务" : "插件端"} ${task.socketId} 模板【${
+      task.templateId
+    }】 任务 ${taskId} 第 ${task.attempt} 次打印失败，${delay} 秒后重试`,
+  );
+  RETRYING[taskId] = {
+    item,
+    timer: setTimeout(() => {
+      delete RETRYING[taskId];
+      task.attempt += 1;
+      updateTaskStatus(taskId, "queued");
+      enqueue(task, item.data, item.execute);
+    }, delay * 1000),
+  };
+  return { attempt: task.attempt, maxAttempts, delay };
+}
+
+/**
+ * @description: 取消排队中、等待重试或定时的任务，执行中的任务无法取消
+ * @param {string} taskId
+ * @return {Object} { taskId, success, msg }
+ */
+function cancelTask(taskId) {
+  const task = TASKS[taskId];
+  if (!task) {
+    return { taskId, success: false, msg: "任务不存在或已过期" };
+  }
+  const queue = QUEUES[task.runner];
+  const index = queue.findIndex((item) => item.taskId === taskId);
+  // 等待重试或定时执行的任务
+  const waiting = RETRYING[taskId] || SCHEDULED[taskId];
+  if (index === -1 && !waiting) {
+    return {
+      taskId,
+      success: false,
+      msg: `任务当前状态为 ${task.status}，无法取消`,
+    };
+  }
+  const { data } = waiting ? waiting.item : queue.splice(index, 1)[0];
+  if (waiting) {
+    clearTimeout(waiting.timer);
+    delete RETRYING[taskId];
+    delete SCHEDULED[taskId];
+  }
+  updateTaskStatus(taskId, "cancelled", "任务已取消");
+  log(
+    `${task.replyId ? "中转服务" : "插件端"} ${task.socketId} 模板【${
+      task.templateId
+    }】 任务 ${taskId} 已取消`,
+  );
+  if (task.type === "render-print" || task.runner === "print") {
+    logCancelledTask(task, data);
+  }
+  // 通知发起任务的 client 任务失败
+  const socket = getTaskSocket(task);
+  socket &&
+    socket.emit(task.runner === "print" ? "error" : `${task.type}-error`, {
+      msg: "任务已取消",
+      templateId: task.templateId,
+      replyId: task.replyId,
+      printer: task.printer,
+    });
+  emitQueueChange();
+  return { taskId, success: true, msg: "任务已取消" };
+}
+
+/**
+ * @description: 获取队列中可以取消的任务：排队中、等待重试和定时的任务
+ * @param {string} runner 'print' | 'render'
+ * @return {string[]} taskId 列表
+ */
+function getWaitingTasks(runner = "print") {
+  return (QUEUES[runner] || [])
+    .map((item) => item.taskId)
+    .concat(
+      [...Object.keys(RETRYING), ...Object.keys(SCHEDULED)].filter(
+        (taskId) => TASKS[taskId].runner === runner,
+      ),
+    );
+}
+
+/**
+ * @description: 清空队列，取消所有排队中、等待重试和定时的任务
+ * @param {string} runner 'print' | 'render'
+ * @param {Function} filter 只取消返回 true 的任务，参数为 TaskInfo
+ * @return {Object} { runner, count }
+ */
+function clearQueue(runner = "print", filter = () => true) {
+  const taskIds = getWaitingTasks(runner).filter((taskId) =>
+    filter(TASKS[taskId]),
+  );
+  taskIds.forEach(cancelTask);
+  return { runner, count: taskIds.length };
+}
+
+/**
+ * @description: 暂停队列派发，执行中的任务不受影响
+ * @param {string} runner 'print' | 'render'
+ * @return {Object} 队列状态
+ */
+function pauseQueue(runner = "print") {
+  if (runner in PAUSED && !PAUSED[runner]) {
+    PAUSED[runner] = true;
+    log(`==> ${runner} 队列已暂停 <==`);
+    emitQueueChange();
+  }
+  return getQueueState();
+}
+
+/**
+ * @description: 恢复队列派发
+ * @param {string} runner 'print' | 'render'
+ * @return {Object} 队列状态
+ */
+function resumeQueue(runner = "print") {
+  if (PAUSED[runner]) {
+    PAUSED[runner] = false;
+    log(`==> ${runner} 队列已恢复 <==`);
+    PARKED[runner]
+      .splice(0)
+      .forEach(({ done, printerKey }) => dispatch(runner, done, printerKey));
+    emitQueueChange();
+  }
+  return getQueueState();
+}
+
+/**
+ * @description: 恢复上次退出时未完成的任务
+ * @description: 按任务的 restorePolicy（未指定时使用设置中的 restorePolicy）处理：replay 重新入队、drop 丢弃、ask 询问用户
+ * @param {string} defaultPolicy 默认恢复策略
+ * @return {Promise<void>}
+ */
+async function restoreTasks(defaultPolicy = "replay") {
+  const rows = await new Promise((resolve) => {
+    db.all(`SELECT * FROM task_queue ORDER BY createTime`, (err, rows) => {
+      if (err) console.error("Failed to read persisted tasks", err);
+      resolve(rows || []);
+    });
+  });
+  if (!rows.length) return;
+
+  await Promise.all([whenLoaded(PRINT_WINDOW), whenLoaded(RENDER_WINDOW)]);
+  // 入队前获取打印机列表，未指定打印机的任务进入系统默认打印机的队列
+  setPrinterList(await PRINT_WINDOW.webContents.getPrintersAsync());
+
+  const items = [];
+  rows.forEach((row) => {
+    try {
+      items.push({ row, data: parseTaskData(row.data) });
+    } catch {
+      removePersistedTask(row.taskId);
+    }
+  });
+  // 未到执行时间的定时任务总是恢复，其余按恢复策略处理
+  const getPolicy = ({ row, data }) => {
+    if (getScheduledTime(data) > Date.now()) return "replay";
+    return ["replay", "drop", "ask"].includes(row.restorePolicy)
+      ? row.restorePolicy
+      : defaultPolicy;
+  };
+  const askRows = items.filter((item) => getPolicy(item) === "ask");
+  let replayAsk = false;
+  if (askRows.length) {
+    const res = await dialog.showMessageBox({
+      type: "question",
+      title: "提示",
+      message: `检测到上次退出时有 ${askRows.length} 个未完成的任务，是否继续执行？`,
+      buttons: ["继续执行", "丢弃"],
+    });
+    replayAsk = res.response === 0;
+  }
+
+  let replayed = 0;
+  items.forEach((item) => {
+    const { row, data } = item;
+    const policy = getPolicy(item);
+    const replay = policy === "replay" || (policy === "ask" && replayAsk);
+    if (!replay) {
+      removePersistedTask(row.taskId);
+      if (row.runner === "print" || row.type === "render-print") {
+        logCancelledTask({ ...row, msg: "重启后未恢复，任务已丢弃" }, data);
+      }
+      saveIdempotencyResult(
+        getIdempotencyKey(row.type, data),
+        "cancelled",
+        "重启后未恢复，任务已丢弃",
+      );
+      return;
+    }
+    addTask(
+      row.runner,
+      row.type,
+      data,
+      row.socketId,
+      row.clientType,
+      row.taskId,
+    );
+    replayed++;
+  });
+  const dropped = items.length - replayed;
+  log(`==> 恢复未完成任务：重新入队 ${replayed} 个，丢弃 ${dropped} 个 <==`);
+}
+
+/**
+ * @description: 查询单个任务状态
+ * @param {string} taskId
+ * @return {TaskInfo|null}
+ */
+function getTask(taskId) {
+  return TASKS[taskId] ? { ...TASKS[taskId] } : null;
+}
+
+/**
+ * @description: 查询任务列表，按入队时间排序
+ * @param {Object} filter 过滤条件
+ * @param {string|string[]} filter.status 任务状态
+ * @param {string} filter.runner 任务所在队列 'print' | 'render'
+ * @param {string} filter.templateId 模版 id
+ * @return {TaskInfo[]}
+ */
+function listTasks(filter = {}) {
+  const status = [].concat(filter.status || []);
+  return Object.values(TASKS)
+    .filter(
+      (task) =>
+        (!status.length || status.includes(task.status)) &&
+        (!filter.runner || task.runner === filter.runner) &&
+        (!filter.templateId || task.templateId === filter.templateId),
+    )
+    .sort((a, b) => a.createTime - b.createTime)
+    .map((task) => ({ ...task }));
+}
+
+loadIdempotencyKeys();
+
+module.exports = {
+  taskEvents,
+  addPrintTask,
+  addRenderTask,
+  updateTaskStatus,
+  updateTaskJob,
+  retryTask,
+  getTask,
+  listTasks,
+  cancelTask,
+  getWaitingTasks,
+  clearQueue,
+  pauseQueue,
+  resumeQueue,
+  getQueueState,
+  restoreTasks,
+  isPrinting,
+  getBusyPrinters,
+  getTaskSocket,
+  getTaskPrinter,
+  getRequestedPrinters,
+  setPrinterList,
+};
@@ -0,0 +1,404 @@
+/*
+ * @Description: 本地服务 HTTPS 证书，使用用户提供的证书、私钥，未提供时使用本机生成的自签名 CA 签发证书
+ * @Description: CA 证书只生成一次，导出并信任后，IP 变化重新签发的服务证书无需再次信任
+ */
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { spawn } = require("child_process");
+const { app } = require("electron");
+const forge = require("node-forge");
+const log = require("./log");
+const { store } = require("./utils");
+
+// 自签名证书存放目录
+const TLS_DIR = path.join(app.getPath("userData"), "tls");
+
+const CA_CERT_PATH = path.join(TLS_DIR, "ca.crt");
+const CA_KEY_PATH = path.join(TLS_DIR, "ca.key");
+const SERVER_CERT_PATH = path.join(TLS_DIR, "server.crt");
+const SERVER_KEY_PATH = path.join(TLS_DIR, "server.key");
+
+// CA 有效期，单位天
+const CA_DAYS = 3650;
+
+// 服务证书有效期，单位天，macOS / iOS 要求不超过 825 天
+const SERVER_DAYS = 397;
+
+// 服务证书到期前多少天重新签发
+const SERVER_RENEW_DAYS = 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// CA 允许签发的 IP 范围 [地址, 掩码]：回环与局域网私有地址，CA 私钥泄露时也无法伪造公网网站的证书
+const CA_PERMITTED_IPS = [
+  ["127.0.0.0", "255.0.0.0"],
+  ["10.0.0.0", "255.0.0.0"],
+  ["172.16.0.0", "255.240.0.0"],
+  ["192.168.0.0", "255.255.0.0"],
+  ["169.254.0.0", "255.255.0.0"],
+  ["::1", "ffff:ffff:ffff:ffff:ffff:ffff:ffff:ffff"],
+  ["fc00::", "fe00::"],
+];
+
+/**
+ * @description: 生成 RSA 密钥对，使用 node crypto 生成，速度远快于 forge
+ * @return {Object} { publicKey, privateKey } forge 密钥
+ */
+function generateKeyPair() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: "spki", format: "pem" },
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+  });
+  return {
+    publicKey: forge.pki.publicKeyFromPem(publicKey),
+    privateKey: forge.pki.privateKeyFromPem(privateKey),
+  };
+}
+
+/**
+ * @description: 创建并签名证书
+ * @param {Object} options { publicKey, signingKey, subject, issuer, days, extensions }
+ * @return {forge.pki.Certificate}
+ */
+function createCertificate({
+  publicKey,
+  signingKey,
+  subject,
+  issuer,
+  days,
+  extensions,
+}) {
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = publicKey;
+  // 序列号需为正数
+  cert.serialNumber = `01${crypto.randomBytes(15).toString("hex")}`;
+  // 兼容系统时间略有偏差的设备
+  cert.validity.notBefore = new Date(Date.now() - DAY);
+  cert.validity.notAfter = new Date(Date.now() + days * DAY);
+  cert.setSubject(subject);
+  cert.setIssuer(issuer);
+  cert.setExtensions(extensions);
+  cert.sign(signingKey, forge.md.sha256.create());
+  return cert;
+}
+
+/**
+ * @description: IP 是否在 CA 允许签发的范围内
+ * @param {string} address IP
+ * @return {boolean}
+ */
+function isPermittedIp(address) {
+  const bytes = forge.util.bytesFromIP(address);
+  if (!bytes) return false;
+  return CA_PERMITTED_IPS.some(([ip, mask]) => {
+    const base = forge.util.bytesFromIP(ip);
+    const bits = forge.util.bytesFromIP(mask);
+    return (
+      base.length === bytes.length &&
+      [...bytes].every(
+        (c, i) => (c.charCodeAt(0) & bits.charCodeAt(i)) === base.charCodeAt(i),
+      )
+    );
+  });
+}
+
+/**
+ * @description: 生成 CA 的 nameConstraints 扩展内容，只允许签发指定主机名与 CA_PERMITTED_IPS 中的地址
+ * @param {string[]} dns 允许的主机名
+ * @return {Object} forge asn1
+ */
+function createNameConstraints(dns) {
+  const { asn1 } = forge;
+  const subtree = (name) =>
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [name]);
+  return asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    // permittedSubtrees [0]，dNSName 为 [2]，iPAddress 为 [7]
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+      ...dns.map((name) =>
+        subtree(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 2, false, name)),
+      ),
+      ...CA_PERMITTED_IPS.map(([ip, mask]) =>
+        subtree(
+          asn1.create(
+            asn1.Class.CONTEXT_SPECIFIC,
+            7,
+            false,
+            forge.util.bytesFromIP(ip) + forge.util.bytesFromIP(mask),
+          ),
+        ),
+      ),
+    ]),
+  ]);
+}
+
+/**
+ * @description: 读取 CA 允许签发的主机名
+ * @param {forge.pki.Certificate} caCert CA 证书
+ * @return {string[]|null} 没有 nameConstraints 时返回 null
+ */
+function getPermittedDnsNames(caCert) {
+  const ext = caCert.getExtension("nameConstraints");
+  if (!ext) return null;
+  // 读取的证书中为 DER，新生成的证书中为 asn1
+  const value =
+    typeof ext.value === "string" ? forge.asn1.fromDer(ext.value) : ext.value;
+  const permitted = value.value.find((item) => item.type === 0);
+  return (permitted?.value || [])
+    .map((subtree) => subtree.value[0])
+    .filter((name) => name.type === 2)
+    .map((name) => name.value.toLowerCase());
+}
+
+/**
+ * @description: 服务证书需要包含的主机名与 IP：localhost、主机名、本机所有网卡地址
+ * @description: 只包含 CA 允许签发的名称，如 CA 生成后修改的主机名、公网 IP 不会写入
+ * @param {forge.pki.Certificate} caCert CA 证书
+ * @return {Object} { dns: string[], ip: string[] }
+ */
+function getServerNames(caCert) {
+  const ip = ["127.0.0.1", "::1"];
+  Object.values(os.networkInterfaces()).forEach((items = []) => {
+    items.forEach((item) => {
+      // IPv6 链路本地地址带有网卡标识，无法写入证书
+      if (!item.internal && !item.address.startsWith("fe80")) {
+        ip.push(item.address);
+      }
+    });
+  });
+  const permitted = getPermittedDnsNames(caCert) || [];
+  return {
+    dns: [...new Set(["localhost", os.hostname()])].filter((name) =>
+      permitted.includes(name.toLowerCase()),
+    ),
+    ip: [...new Set(ip)].filter(isPermittedIp),
+  };
+}
+
+/**
+ * @description: 读取 CA，不存在、已过期或没有 nameConstraints（旧版本生成）时重新生成
+ * @return {Object} { cert, privateKey } forge 证书与私钥
+ */
+function loadCa() {
+  if (fs.existsSync(CA_CERT_PATH) && fs.existsSync(CA_KEY_PATH)) {
+    const cert = forge.pki.certificateFromPem(
+      fs.readFileSync(CA_CERT_PATH, "utf8"),
+    );
+    if (!getPermittedDnsNames(cert)) {
+      log("==> HTTPS: CA 证书没有名称限制，重新生成，请重新信任 CA 证书");
+    } else if (cert.validity.notAfter.getTime() > Date.now()) {
+      return {
+        cert,
+        privateKey: forge.pki.privateKeyFromPem(
+          fs.readFileSync(CA_KEY_PATH, "utf8"),
+        ),
+      };
+    }
+  }
+  log("==> HTTPS: 生成自签名 CA 证书");
+  const { publicKey, privateKey } = generateKeyPair();
+  const subject = [
+    { name: "commonName", value: `hiprint Local CA (${os.hostname()})` },
+    { name: "organizationName", value: "electron-hiprint" },
+  ];
+  const cert = createCertificate({
+    publicKey,
+    signingKey: privateKey,
+    subject,
+    issuer: subject,
+    days: CA_DAYS,
+    extensions: [
+      { name: "basicConstraints", cA: true, critical: true },
+      { name: "keyUsage", keyCertSign: true, cRLSign: true, critical: true },
+      {
+        // nameConstraints，forge 只能通过 id 指定
+        id: "2.5.29.30",
+        critical: true,
+        value: createNameConstraints([
+          ...new Set(["localhost", os.hostname()]),
+        ]),
+      },
+      { name: "subjectKeyIdentifier" },
+    ],
+  });
+  fs.mkdirSync(TLS_DIR, { recursive: true });
+  fs.writeFileSync(CA_KEY_PATH, forge.pki.privateKeyToPem(privateKey), {
+    mode: 0o600,
+  });
+  fs.writeFileSync(CA_CERT_PATH, forge.pki.certificateToPem(cert));
+  return { cert, privateKey };
+}
+
+/**
+ * @description: 服务证书是否可以继续使用：由当前 CA 签发、未临近过期、包含本机所有地址
+ * @param {forge.pki.Certificate} cert 服务证书
+ * @param {forge.pki.Certificate} caCert CA 证书
+ * @return {boolean}
+ */
+function isServerCertValid(cert, caCert) {
+  try {
+    if (!caCert.verify(cert)) return false;
+  } catch (e) {
+    return false;
+  }
+  if (cert.validity.notAfter.getTime() - Date.now() < SERVER_RENEW_DAYS * DAY) {
+    return false;
+  }
+  const altNames = cert.getExtension("subjectAltName")?.altNames || [];
+  const { dns, ip } = getServerNames(caCert);
+  return (
+    dns.every((name) => altNames.some((alt) => alt.value === name)) &&
+    ip.every((address) =>
+      altNames.some(
+        (alt) =>
+          alt.ip &&
+          forge.util.bytesToHex(alt.value) ===
+            forge.util.bytesToHex(forge.util.bytesFromIP(address)),
+      ),
+    )
+  );
+}
+
+/**
+ * @description: 获取自签名服务证书，不存在、即将过期或本机地址变化时使用 CA 重新签发
+ * @return {Object} { cert, key } PEM
+ */
+function getSelfSignedCertificate() {
+  const ca = loadCa();
+  if (fs.existsSync(SERVER_CERT_PATH) && fs.existsSync(SERVER_KEY_PATH)) {
+    const cert = forge.pki.certificateFromPem(
+      fs.readFileSync(SERVER_CERT_PATH, "utf8"),
+    );
+    if (isServerCertValid(cert, ca.cert)) {
+      return {
+        cert: fs.readFileSync(SERVER_CERT_PATH, "utf8"),
+        key: fs.readFileSync(SERVER_KEY_PATH, "utf8"),
+      };
+    }
+  }
+  const { dns, ip } = getServerNames(ca.cert);
+  log(`==> HTTPS: 签发服务证书：${dns.concat(ip).join(", ")}`);
+  const { publicKey, privateKey } = generateKeyPair();
+  const cert = createCertificate({
+    publicKey,
+    signingKey: ca.privateKey,
+    subject: [{ name: "commonName", value: "localhost" }],
+    issuer: ca.cert.subject.attributes,
+    days: SERVER_DAYS,
+    extensions: [
+      { name: "basicConstraints", cA: false },
+      { name: "keyUsage", digitalSignature: true, keyEncipherment: true },
+      { name: "extKeyUsage", serverAuth: true },
+      {
+        name: "subjectAltName",
+        altNames: [
+          ...dns.map((value) => ({ type: 2, value })),
+          ...ip.map((address) => ({ type: 7, ip: address })),
+        ],
+      },
+      { name: "subjectKeyIdentifier" },
+      {
+        name: "authorityKeyIdentifier",
+        keyIdentifier: ca.cert.generateSubjectKeyIdentifier().getBytes(),
+      },
+    ],
+  });
+  const pem = {
+    cert:
+      forge.pki.certificateToPem(cert) + forge.pki.certificateToPem(ca.cert),
+    key: forge.pki.privateKeyToPem(privateKey),
+  };
+  fs.writeFileSync(SERVER_KEY_PATH, pem.key, { mode: 0o600 });
+  fs.writeFileSync(SERVER_CERT_PATH, pem.cert);
+  return pem;
+}
+
+/**
+ * @description: 获取 HTTPS 服务的证书、私钥，设置了 httpsCert、httpsKey 时使用用户提供的证书
+ * @return {Object} { cert, key } 可直接传给 https.createServer
+ */
+function getTlsOptions() {
+  const certPath = store.get("httpsCert");
+  const keyPath = store.get("httpsKey");
+  if (certPath && keyPath) {
+    return {
+      cert: fs.readFileSync(certPath),
+      key: fs.readFileSync(keyPath),
+    };
+  }
+  return getSelfSignedCertificate();
+}
+
+/**
+ * @description: 导出 CA 证书，不存在时生成
+ * @param {string} filePath 导出路径
+ * @return {void}
+ */
+function exportCaCert(filePath) {
+  loadCa();
+  fs.copyFileSync(CA_CERT_PATH, filePath);
+}
+
+/**
+ * @description: 将 CA 证书添加到当前用户的受信任根证书，系统会弹出确认或输入密码
+ * @description: Windows 使用 certutil，macOS 使用 security，Linux 导入 Chrome / Firefox 使用的 NSS 数据库（需要 libnss3-tools）
+ * @return {Promise<void>}
+ */
+function trustCaCert() {
+  loadCa();
+  let command;
+  let args;
+  if (process.platform === "win32") {
+    command = "certutil";
+    args = ["-addstore", "-user", "Root", CA_CERT_PATH];
+  } else if (process.platform === "darwin") {
+    command = "security";
+    args = [
+      "add-trusted-cert",
+      "-r",
+      "trustRoot",
+      "-k",
+      path.join(os.homedir(), "Library/Keychains/login.keychain-db"),
+      CA_CERT_PATH,
+    ];
+  } else {
+    command = "certutil";
+    args = [
+      "-d",
+      `sql:${path.join(os.homedir(), ".pki/nssdb")}`,
+      "-A",
+      "-t",
+      "C,,",
+      "-n",
+      "hiprint Local CA",
+      "-i",
+      CA_CERT_PATH,
+    ];
+  }
+  return new Promise((resolve, reject) => {
+    const p = spawn(command, args, { windowsHide: true });
+    let output = "";
+    p.stdout.on("data", (d) => (output += d.toString()));
+    p.stderr.on("data", (d) => (output += d.toString()));
+    p.on("error", (err) => {
+      reject(
+        err.code === "ENOENT" && process.platform === "linux"
+          ? new Error("未找到 certutil，请先安装 libnss3-tools")
+          : err,
+      );
+    });
+    p.on("close", (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(output.trim() || `${command} exit ${code}`));
+    });
+  });
+}
+
+module.exports = {
+  CA_CERT_PATH,
+  getTlsOptions,
+  exportCaCert,
+  trustCaCert,
+};
@@ -5,8 +5,21 @@ const ipp = require("ipp");
 const { machineIdSync } = require("node-machine-id");
 const Store = require("electron-store");
 const { getPaperSizeInfo, getPaperSizeInfoAll } = require("win32-pdf-printer");
-const { v7: uuidv7 } = require("uuid");
 const log = require("./log");
+const { getCupsPrinterInfo } = require("./cups");
+const { getZplPreviewData } = require("../src/zpl-preview");
+const {
+  addPrintTask,
+  addRenderTask,
+  getTask,
+  listTasks,
+  cancelTask,
+  clearQueue,
+  pauseQueue,
+  resumeQueue,
+  getQueueState,
+  getRequestedPrinters,
+} = require("./task");
 
 Store.initRenderer();
 
@@ -81,8 +94,168 @@ const schema = {
     type: "boolean",
     default: true,
   },
+  restorePolicy: {
+    type: "string",
+    enum: ["replay", "drop", "ask"],
+    default: "replay",
+  },
+  printerConcurrency: {
+    type: "object",
+    default: {},
+  },
+  printerGroups: {
+    type: "object",
+    default: {},
+  },
+  printerAliases: {
+    type: "object",
+    default: {},
+  },
+  printerFailover: {
+    type: "object",
+    default: {},
+  },
+  printerProfiles: {
+    type: "object",
+    default: {},
+  },
+  templateProfiles: {
+    type: "object",
+    default: {},
+  },
+  idempotencyWindow: {
+    type: "number",
+    minimum: 0,
+    default: 10,
+  },
+  retryMaxAttempts: {
+    type: "number",
+    minimum: 1,
+    default: 1,
+  },
+  retryDelay: {
+    type: "number",
+    minimum: 0,
+    default: 5,
+  },
+  retryBackoff: {
+    type: "number",
+    minimum: 1,
+    default: 2,
+  },
+  retryReasons: {
+    type: "array",
+    items: { type: "string" },
+    default: ["打印机异常", "failed", "打印引擎均失败", "offline", "脱机"],
+  },
+  networkPrinterTimeout: {
+    type: "number",
+    minimum: 1,
+    default: 10,
+  },
+  ippJobTimeout: {
+    type: "number",
+    minimum: 0,
+    default: 300,
+  },
+  cupsJobTracking: {
+    type: "boolean",
+    default: true,
+  },
+  printerMonitorInterval: {
+    type: "number",
+    minimum: 0,
+    default: 10,
+  },
+  serverProtocol: {
+    type: "string",
+    enum: ["http", "https", "both"],
+    default: "http",
+  },
+  httpsPort: {
+    type: "number",
+    minimum: 10000,
+    default: 17522,
+  },
+  httpsCert: {
+    type: "string",
+    default: "",
+  },
+  httpsKey: {
+    type: "string",
+    default: "",
+  },
+  allowedOrigins: {
+    type: "array",
+    items: { type: "string" },
+    default: [],
+  },
+  originApproval: {
+    type: "boolean",
+    default: false,
+  },
+  bindAddress: {
+    type: "string",
+    default: "",
+  },
+  ipAllowlist: {
+    type: "array",
+    items: { type: "string" },
+    default: [],
+  },
+  tokens: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        token: { type: "string" },
+        scopes: {
+          type: "array",
+          items: { type: "string", enum: ["print", "render", "ipp", "info"] },
+        },
+        printers: { type: "array", items: { type: "string" } },
+        expiresAt: { type: "string" },
+      },
+    },
+    default: [],
+  },
+};
+
+// token 权限：print 打印及队列管理，render 渲染，ipp 直接调用 ipp，info 获取本机地址、客户端信息
+const TOKEN_SCOPES = ["print", "render", "ipp", "info"];
+
+// socket 事件需要的 token 权限，数组为拥有其中之一即可，未列出的事件只需通过 token 校验
+const EVENT_SCOPES = {
+  news: "print",
+  printByFragments: "print",
+  "render-print": "print",
+  cancelTask: "print",
+  clearQueue: "print",
+  pauseQueue: "print",
+  resumeQueue: "print",
+  refreshPrinterList: "print",
+  getPaperSizeInfo: "print",
+  getTaskStatus: ["print", "render"],
+  listTasks: ["print", "render"],
+  "render-jpeg": "render",
+  "render-pdf": "render",
+  "render-zpl-preview": "render",
+  ippPrint: "ipp",
+  ippRequest: "ipp",
+  address: "info",
+  getClientInfo: "info",
 };
 
+// 需要校验打印机的事件
+const PRINTER_EVENTS = ["news", "printByFragments", "render-print"];
+
+// Windows 打印机不可用的状态位：暂停、错误、脱机、不可用、服务器未知，详见 PRINTER_INFO_2.Status
+const WIN_OFFLINE_STATUS = 0x1 | 0x2 | 0x80 | 0x1000 | 0x8000;
+
+// CUPS printer-state 已停止，3 空闲、4 正在打印均可以接收任务
+const CUPS_STOPPED = 5;
+
 const store = new Store({ schema });
 
 /**
@@ -165,28 +338,198 @@ function getMachineId(){
   }
 }
 
+/**
+ * @description: 获取当前客户端信息
+ * @return {Promise<Object>}
+ */
+async function getClientInfo() {
+  const mac = await _address.mac();
+  // 延迟引入，避免循环依赖
+  const { getExposure } = require("./network");
+  const { urls } = getExposure();
+  return {
+    hostname: os.hostname(), // 主机名
+    version: app.getVersion(), // 版本号
+    platform: process.platform, // 平台
+    arch: process.arch, // 系统架构
+    mac: mac, // mac 地址
+    ip: _address.ip(), // ip 地址
+    ipv6: _address.ipv6(), // ipv6 地址
+    clientUrl: urls[0], // 客户端地址
+    ...(urls[1] && {
+      secureClientUrl: urls[1], // 同时启用 HTTPS 时的客户端地址
+    }),
+    machineId: getMachineId(), // 客户端唯一id
+    nickName: store.get("nickName"), // 客户端昵称
+  };
+}
+
 /**
  * @description: 抛出当前客户端信息，提供更多有价值的信息，逐步替换原有 address
  * @param {io.Socket} socket
  * @return {void}
  */
 function emitClientInfo(socket) {
-  _address.mac().then((mac) => {
-    socket.emit("clientInfo", {
-      hostname: os.hostname(), // 主机名
-      version: app.getVersion(), // 版本号
-      platform: process.platform, // 平台
-      arch: process.arch, // 系统架构
-      mac: mac, // mac 地址
-      ip: _address.ip(), // ip 地址
-      ipv6: _address.ipv6(), // ipv6 地址
-      clientUrl: `http://${_address.ip()}:${store.get("port") || 17521}`, // 客户端地址
-      machineId: getMachineId(), // 客户端唯一id
-      nickName: store.get("nickName"), // 客户端昵称
-    });
+  getClientInfo().then((info) => {
+    socket.emit("clientInfo", info);
   });
 }
 
+/**
+ * @description: 校验本地服务 token，token 与 tokens 都未设置时不校验
+ * @description: token 为拥有所有权限的管理 token，tokens 中的 token 按 scopes、printers 限制权限，过期后校验失败
+ * @param {string} token client 传入的 token
+ * @return {Object|null} TokenGrant { name, scopes, printers, admin, token }，校验失败时返回 null
+ */
+function verifyToken(token) {
+  const serverToken = store.get("token");
+  const tokens = store.get("tokens") || [];
+  if (
+    (!serverToken && !tokens.length) ||
+    (serverToken && serverToken === token)
+  ) {
+    return { name: "", scopes: TOKEN_SCOPES, printers: [], admin: true };
+  }
+  const item = token && tokens.find((item) => item.token === token);
+  if (!item) return null;
+  if (item.expiresAt && new Date(item.expiresAt).getTime() <= Date.now()) {
+    log(`==> token【${item.name}】已于 ${item.expiresAt} 过期`);
+    return null;
+  }
+  return {
+    name: item.name,
+    scopes: item.scopes || [],
+    printers: item.printers || [],
+    admin: false,
+    token: item.token,
+  };
+}
+
+/**
+ * @description: token 是否拥有权限
+ * @param {Object} grant verifyToken 返回的 TokenGrant
+ * @param {string} scope print | render | ipp | info
+ * @return {boolean}
+ */
+function hasTokenScope(grant, scope) {
+  return !!grant && grant.scopes.includes(scope);
+}
+
+/**
+ * @description: token 是否允许使用打印机，printers 为空时允许所有打印机
+ * @param {Object} grant verifyToken 返回的 TokenGrant
+ * @param {string} printer 打印机名称或别名，空字符串表示系统默认打印机
+ * @return {boolean}
+ */
+function isTokenPrinterAllowed(grant, printer) {
+  return (
+    !!grant && (!grant.printers.length || grant.printers.includes(printer))
+  );
+}
+
+/**
+ * @description: 校验 token 是否可以执行事件，打印事件同时校验打印机
+ * @param {Object} grant verifyToken 返回的 TokenGrant
+ * @param {string} event 事件名称
+ * @param {Object} data 事件参数
+ * @return {string} 无权限的原因，有权限时返回空字符串
+ */
+function checkTokenEvent(grant, event, data) {
+  const scopes = [].concat(EVENT_SCOPES[event] || []);
+  if (scopes.length && !scopes.some((scope) => hasTokenScope(grant, scope))) {
+    return `token 没有 ${scopes.join(" 或 ")} 权限`;
+  }
+  if (PRINTER_EVENTS.includes(event) && data) {
+    const denied = getRequestedPrinters(data).filter(
+      (printer) => !isTokenPrinterAllowed(grant, printer),
+    );
+    if (denied.length) {
+      return `token 不允许使用打印机【${denied.join("、") ||
+        "系统默认打印机"}】`;
+    }
+  }
+  return "";
+}
+
+/**
+ * @description: 过滤 token 不允许使用的打印机
+ * @param {Object} grant verifyToken 返回的 TokenGrant
+ * @param {Array<Object>} printers 打印机列表
+ * @param {string} key 打印机名称字段，printerList 为 name，paperSizeInfo 为 PrinterName
+ * @return {Array<Object>}
+ */
+function filterTokenPrinters(grant, printers, key = "name") {
+  return printers.filter((printer) =>
+    isTokenPrinterAllowed(grant, printer[key]),
+  );
+}
+
+/**
+ * @description: 任务是否由 token 提交，按创建任务时记录的 tokenName 判断，管理 token 可以查看、管理所有任务
+ * @param {Object} grant verifyToken 返回的 TokenGrant
+ * @param {TaskInfo} task
+ * @return {boolean}
+ */
+function isTokenTaskOwner(grant, task) {
+  if (!grant) return false;
+  if (grant.admin) return true;
+  return task.tokenName != null && task.tokenName === grant.name;
+}
+
+/**
+ * @description: token 是否可以查看、取消任务：拥有任务类型对应的权限、可以使用任务的打印机，并且是提交任务的 token
+ * @param {Object} grant verifyToken 返回的 TokenGrant
+ * @param {TaskInfo} task
+ * @return {boolean}
+ */
+function isTokenTaskAllowed(grant, task) {
+  return (
+    !checkTokenEvent(grant, task.type, { printer: task.printer }) &&
+    isTokenTaskOwner(grant, task)
+  );
+}
+
+/**
+ * @description: 打印数据记录 token 可用的打印机，故障转移时只改用其中的打印机，重启恢复的任务同样有效
+ * @param {Object} grant verifyToken 返回的 TokenGrant
+ * @param {string} event 事件名称
+ * @param {Object} data 事件参数
+ * @return {void}
+ */
+function setTokenPrinters(grant, event, data) {
+  if (PRINTER_EVENTS.includes(event) && data && typeof data === "object") {
+    data.tokenPrinters = grant.printers;
+  }
+}
+
+/**
+ * @description: 拒绝无权限的事件，通过事件对应的失败回调通知 client
+ * @param {io.Socket} socket
+ * @param {string} event 事件名称
+ * @param {Array} args 事件参数
+ * @param {string} msg 无权限的原因
+ * @return {void}
+ */
+function rejectTokenEvent(socket, event, args, msg) {
+  log(
+    `插件端 ${socket.id}: ${event} 被拒绝，token【${socket.tokenGrant.name}】${msg}`,
+  );
+  const data = args[0] && typeof args[0] === "object" ? args[0] : {};
+  const result = { msg, templateId: data.templateId, replyId: data.replyId };
+  if (event === "ippPrint" || event === "ippRequest") {
+    socket.emit(
+      event === "ippPrint" ? "ippPrinterCallback" : "ippRequestCallback",
+      { type: "PermissionError", msg },
+    );
+  } else if (event === "news" || event === "printByFragments") {
+    socket.emit("error", result);
+  } else if (event.startsWith("render-")) {
+    socket.emit(`${event}-error`, result);
+  }
+  const callback = args[args.length - 1];
+  typeof callback === "function" && callback({ success: false, msg });
+}
+
 /**
  * 生成检查分片任务的闭包函数
  * @param {Object} getCheckTarget 获取校验对象，最后会得到global.PRINT_FRAGMENTS_MAPPING
@@ -258,8 +601,8 @@ function initServeEvent(server) {
    * @description: 校验 token
    */
   server.use((socket, next) => {
-    const token = store.get("token");
-    if (token && token !== socket.handshake.auth.token) {
+    const grant = verifyToken(socket.handshake.auth.token);
+    if (!grant) {
       log(
         `==> 插件端 Authentication error: ${socket.id}, token: ${socket.handshake.auth.token}`,
       );
@@ -269,6 +612,7 @@ function initServeEvent(server) {
       };
       next(err);
     } else {
+      socket.tokenGrant = grant;
       next();
     }
   });
@@ -296,14 +640,28 @@ function initServeEvent(server) {
       notification.show();
     }
 
+    /**
+     * @description: 按 token 权限校验事件，无权限时不执行
+     */
+    socket.use(([event, ...args], next) => {
+      const msg = checkTokenEvent(socket.tokenGrant, event, args[0]);
+      if (msg) return rejectTokenEvent(socket, event, args, msg);
+      setTokenPrinters(socket.tokenGrant, event, args[0]);
+      next();
+    });
+
     // 向 client 发送打印机列表
-    socket.emit(
-      "printerList",
-      await MAIN_WINDOW.webContents.getPrintersAsync(),
-    );
+    hasTokenScope(socket.tokenGrant, "print") &&
+      socket.emit(
+        "printerList",
+        filterTokenPrinters(
+          socket.tokenGrant,
+          await MAIN_WINDOW.webContents.getPrintersAsync(),
+        ),
+      );
 
     // 向 client 发送客户端信息
-    emitClientInfo(socket);
+    hasTokenScope(socket.tokenGrant, "info") && emitClientInfo(socket);
 
     /**
      * @description: client 请求客户端信息
@@ -348,19 +706,41 @@ function initServeEvent(server) {
       log(`插件端 ${socket.id}: refreshPrinterList`);
       socket.emit(
         "printerList",
-        await MAIN_WINDOW.webContents.getPrintersAsync(),
+        filterTokenPrinters(
+          socket.tokenGrant,
+          await MAIN_WINDOW.webContents.getPrintersAsync(),
+        ),
       );
     });
 
     /**
      * @description: client 获取打印机纸张信息
      */
-    socket.on("getPaperSizeInfo", (printer) => {
+    socket.on("getPaperSizeInfo", async (printer) => {
       log(`插件端 ${socket.id}: getPaperSizeInfo`);
+      if (printer && !isTokenPrinterAllowed(socket.tokenGrant, printer)) {
+        socket.emit("paperSizeInfo", []);
+        return;
+      }
       if (process.platform === "win32") {
         let fun = printer ? getPaperSizeInfo : getPaperSizeInfoAll;
         let paper = fun();
-        paper && socket.emit("paperSizeInfo", paper);
+        paper &&
+          socket.emit(
+            "paperSizeInfo",
+            Array.isArray(paper)
+              ? filterTokenPrinters(socket.tokenGrant, paper, "PrinterName")
+              : paper,
+          );
+      } else {
+        socket.emit(
+          "paperSizeInfo",
+          filterTokenPrinters(
+            socket.tokenGrant,
+            await getCupsPaperSizeInfo(printer),
+            "PrinterName",
+          ),
+        );
       }
     });
 
@@ -434,26 +814,122 @@ function initServeEvent(server) {
       }
     });
 
+    /**
+     * @description: client 查询任务状态
+     * @param {String} taskId 任务 id
+     */
+    socket.on("getTaskStatus", (taskId, callback) => {
+      log(`插件端 ${socket.id}: getTaskStatus(${taskId})`);
+      let task = getTask(taskId);
+      // 不属于该 token 的任务视为不存在
+      if (task && !isTokenTaskAllowed(socket.tokenGrant, task)) task = null;
+      if (typeof callback === "function") {
+        callback(task);
+      } else {
+        socket.emit(
+          "taskStatus",
+          task || { taskId, status: "notFound", msg: "任务不存在或已过期" },
+        );
+      }
+    });
+
+    /**
+     * @description: client 查询任务列表
+     * @param {Object} filter { status, runner, templateId }
+     */
+    socket.on("listTasks", (filter, callback) => {
+      log(`插件端 ${socket.id}: listTasks`);
+      if (typeof filter === "function") {
+        callback = filter;
+        filter = {};
+      }
+      const tasks = listTasks(filter || {}).filter((task) =>
+        isTokenTaskAllowed(socket.tokenGrant, task),
+      );
+      if (typeof callback === "function") {
+        callback(tasks);
+      } else {
+        socket.emit("taskList", tasks);
+      }
+    });
+
+    /**
+     * @description: client 取消排队中的任务
+     * @param {String} taskId 任务 id
+     */
+    socket.on("cancelTask", (taskId, callback) => {
+      log(`插件端 ${socket.id}: cancelTask(${taskId})`);
+      const task = getTask(taskId);
+      const result =
+        task && !isTokenTaskAllowed(socket.tokenGrant, task)
+          ? { taskId, success: false, msg: "任务不存在或已过期" }
+          : cancelTask(taskId);
+      if (typeof callback === "function") {
+        callback(result);
+      } else {
+        socket.emit("cancelTaskResult", result);
+      }
+    });
+
+    /**
+     * @description: client 清空队列中排队的任务
+     * @param {String} runner 'print' | 'render'，默认 print
+     */
+    socket.on("clearQueue", (runner, callback) => {
+      log(`插件端 ${socket.id}: clearQueue(${runner || "print"})`);
+      if (typeof runner === "function") {
+        callback = runner;
+        runner = undefined;
+      }
+      // 只取消该 token 可以管理的任务
+      const result = clearQueue(runner || "print", (task) =>
+        isTokenTaskAllowed(socket.tokenGrant, task),
+      );
+      if (typeof callback === "function") {
+        callback(result);
+      } else {
+        socket.emit("clearQueueResult", result);
+      }
+    });
+
+    /**
+     * @description: client 暂停、恢复、查询队列
+     * @param {String} runner 'print' | 'render'，默认 print
+     */
+    [
+      ["pauseQueue", pauseQueue],
+      ["resumeQueue", resumeQueue],
+      ["getQueueState", getQueueState],
+    ].forEach(([eventName, handler]) => {
+      socket.on(eventName, (runner, callback) => {
+        log(`插件端 ${socket.id}: ${eventName}`);
+        if (typeof runner === "function") {
+          callback = runner;
+          runner = undefined;
+        }
+        const state = handler(runner || "print");
+        if (typeof callback === "function") {
+          callback(state);
+        } else {
+          socket.emit("queueState", state);
+        }
+      });
+    });
+
     /**
      * @description: client 常规打印任务
      */
-    socket.on("news", (data) => {
+    socket.on("news", (data, callback) => {
       if (data) {
-        PRINT_RUNNER.add((done) => {
-          data.socketId = socket.id;
-          data.taskId = uuidv7();
-          data.clientType = "local";
-          PRINT_WINDOW.webContents.send("print-new", data);
-          MAIN_WINDOW.webContents.send("printTask", true);
-          PRINT_RUNNER_DONE[data.taskId] = done;
-        });
+        const task = addPrintTask("news", data, socket.id, "local");
+        typeof callback === "function" && callback(task);
       }
     });
 
     /**
      * @description: client 分批打印任务
      */
-    socket.on("printByFragments", (data) => {
+    socket.on("printByFragments", (data, callback) => {
       if (data) {
         const { total, index, htmlFragment, id } = data;
         const currentInfo =
@@ -477,53 +953,49 @@ function initServeEvent(server) {
           // 合并全部打印片段信息
           data.html = currentInfo.fragments.join("");
           // 添加打印任务
-          PRINT_RUNNER.add((done) => {
-            data.socketId = socket.id;
-            data.taskId = uuidv7();
-            data.clientType = "local";
-            PRINT_WINDOW.webContents.send("print-new", data);
-            MAIN_WINDOW.webContents.send("printTask", true);
-            PRINT_RUNNER_DONE[data.taskId] = done;
-          });
+          const task = addPrintTask(
+            "printByFragments",
+            data,
+            socket.id,
+            "local",
+          );
+          typeof callback === "function" && callback(task);
         }
         // 开始检查任务
         watchTaskInstance.startWatch();
       }
     });
 
-    socket.on("render-print", (data) => {
+    socket.on("render-print", (data, callback) => {
       if (data) {
-        RENDER_RUNNER.add((done) => {
-          data.socketId = socket.id;
-          data.taskId = uuidv7();
-          data.clientType = "local";
-          RENDER_WINDOW.webContents.send("print", data);
-          RENDER_RUNNER_DONE[data.taskId] = done;
-        });
+        const task = addRenderTask("render-print", data, socket.id, "local");
+        typeof callback === "function" && callback(task);
       }
     });
 
-    socket.on("render-jpeg", (data) => {
+    socket.on("render-jpeg", (data, callback) => {
       if (data) {
-        RENDER_RUNNER.add((done) => {
-          data.socketId = socket.id;
-          data.taskId = uuidv7();
-          data.clientType = "local";
-          RENDER_WINDOW.webContents.send("png", data);
-          RENDER_RUNNER_DONE[data.taskId] = done;
-        });
+        const task = addRenderTask("render-jpeg", data, socket.id, "local");
+        typeof callback === "function" && callback(task);
       }
     });
 
-    socket.on("render-pdf", (data) => {
+    socket.on("render-pdf", (data, callback) => {
       if (data) {
-        RENDER_RUNNER.add((done) => {
-          data.socketId = socket.id;
-          data.taskId = uuidv7();
-          data.clientType = "local";
-          RENDER_WINDOW.webContents.send("pdf", data);
-          RENDER_RUNNER_DONE[data.taskId] = done;
-        });
+        const task = addRenderTask("render-pdf", data, socket.id, "local");
+        typeof callback === "function" && callback(task);
+      }
+    });
+
+    socket.on("render-zpl-preview", (data, callback) => {
+      if (data) {
+        const task = addRenderTask(
+          "render-zpl-preview",
+          getZplPreviewData(data),
+          socket.id,
+          "local",
+        );
+        typeof callback === "function" && callback(task);
       }
     });
 
@@ -601,8 +1073,10 @@ function initClientEvent() {
    */
   client.on("ippPrint", (options) => {
     log(`中转服务 ${client.id}: ippPrint`);
+    // catch 中同样需要 replyId
+    const { replyId } = options || {};
     try {
-      const { url, opt, action, message, replyId } = options;
+      const { url, opt, action, message } = options;
       let printer = ipp.Printer(url, opt);
       client.emit("ippPrinterConnected", { printer, replyId });
       let msg = Object.assign(
@@ -648,8 +1122,10 @@ function initClientEvent() {
    */
   client.on("ippRequest", (options) => {
     log(`中转服务 ${client.id}: ippRequest`);
+    // catch 中同样需要 replyId
+    const { replyId } = options || {};
     try {
-      const { url, data, replyId } = options;
+      const { url, data } = options;
       let _data = ipp.serialize(data);
       ipp.request(url, _data, (err, res) => {
         client.emit(
@@ -668,55 +1144,102 @@ function initClientEvent() {
     }
   });
 
+  /**
+   * @description: 中转服务 查询任务状态
+   */
+  client.on("getTaskStatus", (options) => {
+    const { taskId, replyId } = options || {};
+    log(`中转服务 ${client.id}: getTaskStatus(${taskId})`);
+    client.emit("taskStatus", {
+      ...(getTask(taskId) || {
+        taskId,
+        status: "notFound",
+        msg: "任务不存在或已过期",
+      }),
+      replyId,
+    });
+  });
+
+  /**
+   * @description: 中转服务 查询任务列表
+   */
+  client.on("listTasks", (options) => {
+    const { replyId, ...filter } = options || {};
+    log(`中转服务 ${client.id}: listTasks`);
+    client.emit("taskList", { tasks: listTasks(filter), replyId });
+  });
+
+  /**
+   * @description: 中转服务 取消排队中的任务
+   */
+  client.on("cancelTask", (options) => {
+    const { taskId, replyId } = options || {};
+    log(`中转服务 ${client.id}: cancelTask(${taskId})`);
+    client.emit("cancelTaskResult", { ...cancelTask(taskId), replyId });
+  });
+
+  /**
+   * @description: 中转服务 清空队列中排队的任务
+   */
+  client.on("clearQueue", (options) => {
+    const { runner, replyId } = options || {};
+    log(`中转服务 ${client.id}: clearQueue(${runner || "print"})`);
+    client.emit("clearQueueResult", {
+      ...clearQueue(runner || "print"),
+      replyId,
+    });
+  });
+
+  /**
+   * @description: 中转服务 暂停、恢复、查询队列
+   */
+  [
+    ["pauseQueue", pauseQueue],
+    ["resumeQueue", resumeQueue],
+    ["getQueueState", getQueueState],
+  ].forEach(([eventName, handler]) => {
+    client.on(eventName, (options) => {
+      const { runner, replyId } = options || {};
+      log(`中转服务 ${client.id}: ${eventName}`);
+      client.emit("queueState", { ...handler(runner || "print"), replyId });
+    });
+  });
+
   /**
    * @description: 中转服务 常规打印任务
    */
   client.on("news", (data) => {
     if (data) {
-      PRINT_RUNNER.add((done) => {
-        data.socketId = client.id;
-        data.taskId = uuidv7();
-        data.clientType = "transit";
-        PRINT_WINDOW.webContents.send("print-new", data);
-        MAIN_WINDOW.webContents.send("printTask", true);
-        PRINT_RUNNER_DONE[data.taskId] = done;
-      });
+      addPrintTask("news", data, client.id, "transit");
     }
   });
 
   client.on("render-print", (data) => {
     if (data) {
-      RENDER_RUNNER.add((done) => {
-        data.socketId = client.id;
-        data.taskId = uuidv7();
-        data.clientType = "transit";
-        RENDER_WINDOW.webContents.send("print", data);
-        RENDER_RUNNER_DONE[data.taskId] = done;
-      });
+      addRenderTask("render-print", data, client.id, "transit");
     }
   });
 
   client.on("render-jpeg", (data) => {
     if (data) {
-      RENDER_RUNNER.add((done) => {
-        data.socketId = client.id;
-        data.taskId = uuidv7();
-        data.clientType = "transit";
-        RENDER_WINDOW.webContents.send("png", data);
-        RENDER_RUNNER_DONE[data.taskId] = done;
-      });
+      addRenderTask("render-jpeg", data, client.id, "transit");
     }
   });
 
   client.on("render-pdf", (data) => {
     if (data) {
-      RENDER_RUNNER.add((done) => {
-        data.socketId = client.id;
-        data.taskId = uuidv7();
-        data.clientType = "transit";
-        RENDER_WINDOW.webContents.send("pdf", data);
-        RENDER_RUNNER_DONE[data.taskId] = done;
-      });
+      addRenderTask("render-pdf", data, client.id, "transit");
+    }
+  });
+
+  client.on("render-zpl-preview", (data) => {
+    if (data) {
+      addRenderTask(
+        "render-zpl-preview",
+        getZplPreviewData(data),
+        client.id,
+        "transit",
+      );
     }
   });
 
@@ -729,30 +1252,194 @@ function initClientEvent() {
   });
 }
 
+/**
+ * @description: macOS / Linux 获取打印机纸张信息，格式与 Windows 一致
+ * @param { String } printer 打印机名称，缺省时返回所有打印机的纸张信息
+ * @return { Promise<Array> } 查询失败的打印机不返回
+ */
+async function getCupsPaperSizeInfo(printer) {
+  const printers = printer
+    ? [printer]
+    : (await MAIN_WINDOW.webContents.getPrintersAsync()).map(
+        (item) => item.name,
+      );
+  const result = await Promise.allSettled(printers.map(getCupsPrinterInfo));
+  return result
+    .filter((item, index) => {
+      if (item.status === "rejected") {
+        log(
+          `获取打印机纸张信息失败：${printers[index]}，${item.reason?.message ||
+            item.reason}`,
+        );
+      }
+      return item.status === "fulfilled";
+    })
+    .map((item) => item.value);
+}
+
 /**
  * @description: 打印机状态码 十进制 -> 十六进制, 返回对应的详细错误信息， 详见：https://github.com/mlmdflr/win32-pdf-printer/blob/51f7a9b3687e260a7d83ea467b22b374fb153b52/paper-size-info/Status.cs
+ * @description: macOS / Linux 通过 CUPS 查询 printer-state、printer-state-message
  * @param { String } printerName  打印机名称
- * @return { Object  { StatusMsg: String // 打印机状态详情信息 } }  
+ * @return { Promise<Object>  { StatusMsg: String // 打印机状态详情信息 } }
 */
 
-function getCurrentPrintStatusByName(printerName) {
+async function getCurrentPrintStatusByName(printerName) {
    if (process.platform === "win32") {
     const { StatusMsg } = getPaperSizeInfoAll().find((item) => item.PrinterName === printerName) || { StatusMsg : "未找到打印机" };
     return {
       StatusMsg,
     }
   }
-  return { StatusMsg : "非Windows系统, 暂不支持" }
+  try {
+    const { StatusMsg } = await getCupsPrinterInfo(printerName);
+    return { StatusMsg };
+  } catch (e) {
+    return { StatusMsg: `获取打印机状态失败：${e?.message || e}` };
+  }
 }
 
 
+/**
+ * @description: 解析打印机别名，别名对应多台打印机时按顺序取第一台已安装的打印机
+ * @param { String } printer 打印机名称或别名
+ * @param { Array } printers 已安装的打印机列表，不传时取别名对应的第一台打印机
+ * @return { String } 打印机名称，不是别名时原样返回
+ */
+function resolvePrinterAlias(printer, printers = []) {
+  const candidates = [].concat(store.get("printerAliases", {})[printer] || []);
+  if (!candidates.length) return printer;
+  return (
+    candidates.find((name) => printers.some((item) => item.name === name)) ||
+    candidates[0]
+  );
+}
+/**
+ * @description: 是否为网络打印机地址 socket://host:port，不经过系统打印机直接通过 TCP 发送
+ * @param { String } printer 打印机
+ * @return { Boolean }
+ */
+function isSocketPrinter(printer) {
+  return /^socket:\/\//i.test(printer || "");
+}
+/**
+ * @description: 是否为 IPP 打印机地址 ipp://host:631/ipp/print、ipps://...
+ * @param { String } printer 打印机
+ * @return { Boolean }
+ */
+function isIppPrinter(printer) {
+  return /^ipps?:\/\//i.test(printer || "");
+}
+/**
+ * @description: 是否为不经过系统打印机的网络打印机（socket、IPP）
+ * @param { String } printer 打印机
+ * @return { Boolean }
+ */
+function isNetworkPrinter(printer) {
+  return isSocketPrinter(printer) || isIppPrinter(printer);
+}
+/**
+ * @description: CUPS 打印机是否不可用：已停止，或状态原因为脱机（offline-*）、错误（*-error）
+ * @param { Number } status printer-state
+ * @param { Array|String } reasons printer-state-reasons，getPrintersAsync 的 options 中为逗号分隔的字符串
+ * @return { Boolean }
+ */
+function isCupsPrinterOffline(status, reasons = []) {
+  const list = typeof reasons === "string" ? reasons.split(",") : reasons;
+  return (
+    status == CUPS_STOPPED ||
+    list.some(
+      (reason) => reason.startsWith("offline") || reason.endsWith("-error"),
+    )
+  );
+}
+
+/**
+ * @description: 打印机是否可用，win32 状态不含脱机、暂停、错误等状态位，cups 未停止且没有脱机、错误原因
+ * @description: Windows 上很多打印机的状态不可靠（忙碌、预热等也非 0），只按明确的不可用状态位判断；cups 正在打印（4）同样可用
+ * @param { Object } printer getPrintersAsync 返回的打印机信息
+ * @return { Boolean }
+ */
+function isPrinterAvailable(printer) {
+  if (!printer) return false;
+  if (process.platform === "win32") {
+    return (printer.status & WIN_OFFLINE_STATUS) === 0;
+  }
+  return !isCupsPrinterOffline(
+    printer.status,
+    printer.options?.["printer-state-reasons"],
+  );
+}
+
+/**
+ * @description: 按设置的故障转移顺序选择打印机，目标打印机不可用时改用第一台可用的备用打印机
+ * @param { String } printer 目标打印机名称
+ * @param { Array } printers 已安装的打印机列表
+ * @param { Array } allowed 提交任务的 token 可用的打印机名称或别名，为空时不限制
+ * @return { String } 实际使用的打印机，没有可用的备用打印机时返回目标打印机
+ */
+function getFailoverPrinter(printer, printers, allowed = []) {
+  // 网络打印机无法获取状态，视为可用
+  const isAvailable = (name) =>
+    isNetworkPrinter(name) ||
+    isPrinterAvailable(printers.find((item) => item.name === name));
+  if (isAvailable(printer)) return printer;
+  const chain = [].concat(store.get("printerFailover", {})[printer] || []);
+  const backup = chain
+    .map((name) => [name, resolvePrinterAlias(name, printers)])
+    .find(
+      ([name, resolved]) =>
+        resolved !== printer &&
+        isAvailable(resolved) &&
+        (!allowed.length ||
+          allowed.includes(name) ||
+          allowed.includes(resolved)),
+    );
+  return backup ? backup[1] : printer;
+}
+/**
+ * @description: 将打印机、模板的默认打印参数合并到打印参数之下，打印参数中已有的值优先，模板默认参数优先于打印机默认参数
+ * @param { Object } data 打印参数
+ * @param { String } printer 实际使用的打印机名称
+ * @return { Object } data
+ */
+function applyPrintProfile(data, printer) {
+  const profile = {
+    ...store.get("printerProfiles", {})[printer],
+    ...store.get("templateProfiles", {})[data.templateId],
+  };
+  Object.keys(profile).forEach((key) => {
+    if (data[key] === undefined || data[key] === null) {
+      data[key] = profile[key];
+    }
+  });
+  return data;
+}
 
 
 module.exports = {
   store,
+  resolvePrinterAlias,
+  isSocketPrinter,
+  isIppPrinter,
+  isNetworkPrinter,
+  isCupsPrinterOffline,
+  isPrinterAvailable,
+  getFailoverPrinter,
+  applyPrintProfile,
+  WIN_OFFLINE_STATUS,
   address: _address,
   initServeEvent,
   initClientEvent,
   getCurrentPrintStatusByName,
   getMachineId,
+  getClientInfo,
+  verifyToken,
+  hasTokenScope,
+  isTokenPrinterAllowed,
+  checkTokenEvent,
+  filterTokenPrinters,
+  isTokenTaskOwner,
+  isTokenTaskAllowed,
+  setTokenPrinters,
 };